@@ -0,0 +1,152 @@
+/**
+ * The public API of the On Watch module, available as `game.modules.get("on-watch").api` once the game is ready.
+ * Every function returns a promise, and the functions which change the watch must be called by a GM.
+ *
+ * The WatchManager also fires these hook events on the client that performs each action:
+ * - `onWatch.start` (watchManager)
+ * - `onWatch.turnChange` (watchManager, turnIndex, previousIndex)
+ * - `onWatch.preRoll` (watchManager, turn, config), return `false` to prevent the rolls
+ * - `onWatch.roll` (watchManager, turn, results, message)
+ * - `onWatch.end` (watchManager, log)
+ * @module api
+ */
+
+/**
+ * The state of the watch, as returned by {@link getState}.
+ * @typedef {Object} WatchState
+ * @property {string|null} id - The id of the watch.
+ * @property {string|null} name - The name of the watch.
+ * @property {boolean} active - Whether the watch is active.
+ * @property {number} currentTurn - The index of the current turn.
+ * @property {number|null} startTime - The world time at which the watch started.
+ * @property {number} duration - Total duration of the watch in hours.
+ * @property {{duration: number, members: string[], activities: Object<string, {type: string, label?: string}>,
+ *            interrupted: boolean}[]} turns - The turns of the watch. Members without an activity keep watch.
+ */
+
+/**
+ * Get the WatchManager of the world.
+ * @returns {WatchManager}
+ */
+function getWatchManager() {
+  const watchManager = game.modules.get("on-watch")?.watchManager;
+  if (!watchManager) throw new Error("On Watch | The WatchManager is not ready.");
+  return watchManager;
+}
+
+/**
+ * Read the state of the watch shown by this client.
+ * @returns {Promise<WatchState>}
+ */
+export async function getState() {
+  const watchManager = getWatchManager();
+  return {
+    id: watchManager.watchId,
+    name: watchManager.record?.name ?? null,
+    active: watchManager.isActive,
+    currentTurn: watchManager.currentTurn,
+    startTime: watchManager.startTime,
+    duration: watchManager.watch?.duration ?? 0,
+    turns: watchManager._serializeTurns(watchManager.turns).map(
+      ({ duration, members, activities, interrupted }) => ({
+        duration,
+        members,
+        activities,
+        interrupted,
+      })
+    ),
+  };
+}
+
+/**
+ * List the watches this client can see.
+ * @returns {Promise<{id: string, name: string, scene: string|null, active: boolean}[]>}
+ */
+export async function getWatches() {
+  const { WatchManagerClass } = game.modules.get("on-watch").classes;
+  return WatchManagerClass.getVisibleWatches().map(({ id, name, scene, watchActive }) => ({
+    id,
+    name,
+    scene,
+    active: watchActive,
+  }));
+}
+
+/**
+ * Show another watch in this client. The other functions act on the shown watch.
+ * @param {string} watchId - The id of the watch.
+ * @returns {Promise<WatchState>}
+ */
+export async function selectWatch(watchId) {
+  await getWatchManager().selectWatch(watchId);
+  return getState();
+}
+
+/**
+ * Start the watch.
+ * @returns {Promise<WatchState>}
+ */
+export async function start() {
+  await getWatchManager().startWatch();
+  return getState();
+}
+
+/**
+ * End the watch.
+ * @param {object} [options]
+ * @param {boolean} [options.longRest=false] - Apply a long rest to every member of the watch.
+ * @param {boolean} [options.silentNPCs=false] - Skip the rest dialog for actors without a player owner.
+ * @returns {Promise<WatchState>}
+ */
+export async function end(options = {}) {
+  await getWatchManager().endWatch(options);
+  return getState();
+}
+
+/**
+ * Move the watch forward or back a number of turns, advancing the world time accordingly.
+ * @param {number} [steps=1] - The number of turns to move, negative to move back.
+ * @returns {Promise<WatchState>}
+ */
+export async function advance(steps = 1) {
+  const watchManager = getWatchManager();
+  for (let i = 0; i < Math.abs(steps); i++) {
+    if (steps > 0) await watchManager.nextTurn();
+    else await watchManager.previousTurn();
+  }
+  return getState();
+}
+
+/**
+ * Replace the turns of the watch. Members which are not the UUID of an existing Actor are dropped.
+ * @param {{duration: number, members: string[]}[]} turns - The new turns, in order.
+ * @returns {Promise<WatchState>}
+ */
+export async function setTurns(turns) {
+  const watchManager = getWatchManager();
+  watchManager.turns = await watchManager._validateTurns(turns);
+  await watchManager.updateTurns(watchManager.turns);
+  return getState();
+}
+
+/**
+ * Add a member to a turn.
+ * @param {number} turnIndex - The index of the turn.
+ * @param {string} uuid - The UUID of the actor.
+ * @returns {Promise<WatchState>}
+ */
+export async function addMember(turnIndex, uuid) {
+  await getWatchManager().addMember(turnIndex, uuid);
+  return getState();
+}
+
+/**
+ * Remove a member from a turn.
+ * @param {number} turnIndex - The index of the turn.
+ * @param {string} uuid - The UUID of the actor.
+ * @returns {Promise<WatchState>}
+ */
+export async function removeMember(turnIndex, uuid) {
+  await getWatchManager().removeMember(turnIndex, uuid);
+  return getState();
+}
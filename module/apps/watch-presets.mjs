@@ -0,0 +1,141 @@
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * WatchPresets UI for saving and loading named watch orders.
+ * @extends ApplicationV2
+ * @mixes HandlebarsApplication
+ * @alias WatchPresets
+ */
+export default class WatchPresets extends HandlebarsApplicationMixin(
+  ApplicationV2
+) {
+  constructor(options) {
+    super(options);
+
+    /** @type {WatchManager|null} */
+    this.doc = options.doc ?? null;
+  }
+  /** @inheritDoc */
+  static DEFAULT_OPTIONS = {
+    classes: ["on-watch", "watch-presets"],
+    position: {
+      width: 325,
+    },
+    window: {
+      title: "ONWATCH.Presets.Title",
+      icon: "fa-solid fa-bookmark",
+      resizable: true,
+    },
+    actions: {
+      save: WatchPresets.savePreset,
+      load: WatchPresets.loadPreset,
+      rename: WatchPresets.renamePreset,
+      delete: WatchPresets.deletePreset,
+      setDefault: WatchPresets.setDefault,
+    },
+  };
+  /** @override */
+  static PARTS = {
+    form: {
+      template: "modules/on-watch/templates/watch-presets.hbs",
+      scrollable: ["ol.presets-list"],
+    },
+  };
+
+  /* -------------------------------------------- */
+  /*  Instance Methods                            */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async _prepareContext(options) {
+    return {
+      presets: this.doc.presets.map((preset) => ({
+        ...preset,
+        turnLabel: this.doc.localizePlural("ONWATCH.Presets.Turns", preset.turns.length),
+      })),
+      canSave: this.doc.turns.length > 0,
+    };
+  }
+
+  /**
+   * Get the id of the preset of an action target.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   * @returns {string}
+   * @private
+   */
+  _getPresetId(target) {
+    return target.closest(".preset[data-id]").dataset.id;
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Action Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Saves the current turns as a new preset.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The capturing HTML element which defines the [data-action].
+   */
+  static async savePreset(event, target) {
+    event.preventDefault();
+    const input = this.element.querySelector("input.preset-name");
+    const preset = await this.doc.savePreset(input.value);
+    if (preset) input.value = "";
+  }
+
+  /**
+   * Loads a preset into the Watch Tracker.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The capturing HTML element which defines the [data-action].
+   */
+  static async loadPreset(event, target) {
+    event.preventDefault();
+    await this.doc.loadPreset(this._getPresetId(target));
+  }
+
+  /**
+   * Renames a preset.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The capturing HTML element which defines the [data-action].
+   */
+  static async renamePreset(event, target) {
+    event.preventDefault();
+    const { DialogV2 } = foundry.applications.api;
+    const { StringField } = foundry.data.fields;
+    const id = this._getPresetId(target);
+    const preset = this.doc.presets.find((p) => p.id === id);
+
+    const name = await DialogV2.prompt({
+      rejectClose: false,
+      window: { title: "ONWATCH.Presets.Rename", icon: "fa-solid fa-pen" },
+      content: new StringField({ label: "ONWATCH.Name", required: true })
+        .toFormGroup({ localize: true }, { name: "name", value: preset?.name })
+        .outerHTML,
+      ok: {
+        label: "ONWATCH.Presets.RenameButton",
+        callback: (_, button) => new FormDataExtended(button.form).object.name,
+      },
+    });
+    if (name) await this.doc.renamePreset(id, name);
+  }
+
+  /**
+   * Deletes a preset.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The capturing HTML element which defines the [data-action].
+   */
+  static async deletePreset(event, target) {
+    event.preventDefault();
+    await this.doc.deletePreset(this._getPresetId(target));
+  }
+
+  /**
+   * Sets or unsets a preset as the default watch order.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The capturing HTML element which defines the [data-action].
+   */
+  static async setDefault(event, target) {
+    event.preventDefault();
+    await this.doc.toggleDefaultPreset(this._getPresetId(target));
+  }
+}
@@ -25,19 +25,40 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
       width: 325,
     },
     window: {
-      title: "Watch Tracker",
+      title: "ONWATCH.Tracker.Title",
       icon: "fa-solid fa-campground",
       resizable: true,
       controls: [
         {
           icon: "fa-solid fa-eye",
-          label: "Show to Players!",
+          label: "ONWATCH.Tracker.ShowPlayers",
           action: "showPlayer",
         },
+        {
+          icon: "fa-solid fa-bookmark",
+          label: "ONWATCH.Presets.Title",
+          action: "openPresets",
+        },
+        {
+          icon: "fa-solid fa-magnifying-glass",
+          label: "ONWATCH.Check.Watch",
+          action: "configureCheck",
+        },
+        {
+          icon: "fa-solid fa-moon",
+          label: "ONWATCH.Light.Title",
+          action: "configureLight",
+        },
+        {
+          icon: "fa-solid fa-dragon",
+          label: "ONWATCH.Encounter.Title",
+          action: "configureEncounter",
+        },
       ],
     },
     actions: {
       create: WatchTracker.createTurn,
+      generate: WatchTracker.generateSchedule,
       delete: WatchTracker.deleteTurn,
       swapTurn: WatchTracker.swapTurns,
       addToken: WatchTracker.addToken,
@@ -48,6 +69,23 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
       previousTurn: WatchTracker.previousTurn,
       nextTurn: WatchTracker.nextTurn,
       roll: WatchTracker.roll,
+      approach: WatchTracker.configureApproach,
+      somethingApproaches: WatchTracker.somethingApproaches,
+      selectWatch: WatchTracker.selectWatch,
+      createWatch: WatchTracker.createWatch,
+      configureWatch: WatchTracker.configureWatch,
+      deleteWatch: WatchTracker.deleteWatch,
+      undo: WatchTracker.undo,
+      redo: WatchTracker.redo,
+      toggleInterrupted: WatchTracker.toggleInterrupted,
+      configureEncounter: WatchTracker.configureEncounter,
+      openPresets: WatchTracker.openPresets,
+      configureLight: WatchTracker.configureLight,
+      configureStartTime: WatchTracker.configureStartTime,
+      configureCheck: WatchTracker.configureCheck,
+      configureActivity: WatchTracker.configureActivity,
+      approveChange: WatchTracker.approveChange,
+      rejectChange: WatchTracker.rejectChange,
     },
   };
   /** @override */
@@ -66,8 +104,16 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
   _initializeApplicationOptions(options) {
     options = super._initializeApplicationOptions(options);
 
-    const showPlayer = options.window?.controls?.find(c => c.action === 'showPlayer');
-    if(showPlayer) showPlayer.visible = game.user.isGM;
+    const gmControls = [
+      "showPlayer",
+      "configureEncounter",
+      "openPresets",
+      "configureLight",
+      "configureCheck",
+    ];
+    for (const control of options.window?.controls ?? []) {
+      if (gmControls.includes(control.action)) control.visible = game.user.isGM;
+    }
 
     return options;
   }
@@ -86,6 +132,7 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
     const lastTurn = Math.max(0, turns.length - 1);
 
     const context = {
+      watches: this._prepareWatches(),
       hasToken: !!canvas.scene && canvas.tokens.controlled.length > 0,
       turns: await this._prepareTurns(),
       lastTurn,
@@ -95,6 +142,13 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
       isPreviousTurnValid: currentTurn === 0,
       isNextTurnValid: currentTurn === lastTurn,
       isRollValid: this._prepareRoll(),
+      isFinished: isActive && !!this.doc.record?.finished,
+      schedule: !isActive && turns.length ? this._prepareSchedule() : null,
+      approach: game.user.isGM ? this.doc.approach : null,
+      permissions: this.doc.permissions,
+      canUndo: this.doc.canUndo,
+      canRedo: this.doc.canRedo,
+      pendingChanges: game.user.isGM ? this._preparePendingChanges() : [],
     };
 
     return context;
@@ -105,28 +159,172 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
    * @returns {Promise<Object[]>} Promise resolving to an array of prepared turn objects.
    */
   async _prepareTurns() {
+    const rests = this.doc.validateRest();
     return Promise.all(
-      this.doc.turns.map(async (turn) => ({
-        ...turn,
-        members: (
+      this.doc.turns.map(async (turn, index) => {
+        const members = (
           await Promise.all(
             Array.from(turn.members, async (uuid) => await fromUuid(uuid))
           )
-        ).filter((member) => member !== null),
-      }))
+        )
+          .filter((member) => member !== null)
+          .map((actor) => this._prepareMember(actor, rests.get(actor.uuid), turn));
+        const bestPassive = await this.doc.getTurnPassive(turn);
+
+        return {
+          ...turn,
+          members,
+          bestPassive,
+          spotted: this.doc.spotsApproach(bestPassive),
+          checkLabel: WatchManager.getCheckLabel(this.doc.getTurnCheck(turn)),
+          hoursUnit: WatchManager.getHoursUnit(turn.duration),
+          ...this._prepareClock(turn, index),
+        };
+      })
     );
   }
-  
+
+  /**
+   * Prepares the clock range of a turn, and the progress of the world time through the active turn.
+   * @param {Turn} turn - The turn.
+   * @param {number} index - The index of the turn.
+   * @returns {{clock: string|null, progress: number|null, timeLeft: string|null}}
+   */
+  _prepareClock(turn, index) {
+    const start = this.doc.getTurnStart(index);
+    if (start === null) return { clock: null, progress: null, timeLeft: null };
+
+    const { formatClock } = WatchManager;
+    const clock = `${formatClock(start)} – ${formatClock(start + turn.duration * 3600)}`;
+    const turnProgress = index === this.doc.currentTurn ? this.doc.getTurnProgress(index) : null;
+    if (!turnProgress) return { clock, progress: null, timeLeft: null };
+
+    const { progress, remaining } = turnProgress;
+    const hours = Math.floor(remaining / 3600);
+    const minutes = Math.floor((remaining % 3600) / 60);
+    return {
+      clock,
+      progress: Math.round(progress * 100),
+      timeLeft: game.i18n.format("ONWATCH.Tracker.TimeLeft", {
+        hours,
+        minutes: String(minutes).padStart(2, "0"),
+      }),
+    };
+  }
+
+  /**
+   * Prepares the summary of the turns prepared for a watch which is not started.
+   * @returns {string}
+   */
+  _prepareSchedule() {
+    const { turns, duration } = this.doc.watch;
+    const count = WatchManager.localizePlural("ONWATCH.Presets.Turns", turns.length);
+    return game.i18n.format("ONWATCH.Tracker.Schedule", { turns: count, hours: WatchManager.formatHours(duration) });
+  }
+
+  /**
+   * Prepares the changes made by players that wait for approval.
+   * @returns {Object[]}
+   */
+  _preparePendingChanges() {
+    const watches = game.settings.get("on-watch", "watches");
+    return this.doc.pendingChanges.map(({ id, userId, summary, watchId }) => ({
+      id,
+      summary,
+      userName: game.users.get(userId)?.name ?? game.i18n.localize("ONWATCH.Unknown"),
+      watchName: watches.length > 1 ? watches.find((w) => w.id === watchId)?.name : null,
+    }));
+  }
+
+  /**
+   * Prepares the tabs of the watches the user can see.
+   * @returns {{id: string, name: string, active: boolean, selected: boolean, sceneName: string}[]}
+   */
+  _prepareWatches() {
+    return WatchManager.getVisibleWatches().map(({ id, name, watchActive, scene }) => ({
+      id,
+      name,
+      active: watchActive,
+      selected: id === this.doc.watchId,
+      sceneName: game.scenes.get(scene)?.name ?? "",
+    }));
+  }
+
+  /**
+   * Prepares the data of a turn member for rendering.
+   * @param {Actor} actor - The member actor.
+   * @param {RestValidation} [rest] - The validation of the member rest.
+   * @param {Turn} turn - The turn of the member.
+   * @returns {object}
+   */
+  _prepareMember(actor, rest, turn) {
+    const activity = this.doc.getActivity(turn, actor.uuid);
+    return {
+      uuid: actor.uuid,
+      name: actor.name,
+      img: actor.img,
+      canRemove: game.user.isGM || (actor.isOwner && this.doc.permissions.remove),
+      canEditActivity: game.user.isGM || (actor.isOwner && this.doc.permissions.activity),
+      activity: {
+        ...activity,
+        icon: WatchManager.ACTIVITIES[activity.type].icon,
+        label: WatchManager.getActivityLabel(activity),
+        isWatching: activity.type === "watch",
+      },
+      passive: this.doc.getPassivePerception(actor),
+      vision: this._prepareVision(this.doc.getVision(actor)),
+      restInvalid: rest ? !rest.valid : false,
+      restWarning: rest?.reasons.join(" ") ?? "",
+      rollStatus: this._prepareRollStatus(this.doc.rollStatus.get(actor.uuid)),
+    };
+  }
+
+  /**
+   * Prepares the badge of a member whose watch roll is being gathered.
+   * @param {string} [status] - The status of the roll, "pending", "rolled", "timeout" or "cancelled".
+   * @returns {{status: string, icon: string, label: string}|null}
+   */
+  _prepareRollStatus(status) {
+    const badges = {
+      pending: { icon: "fa-hourglass-half", label: "ONWATCH.RollStatus.Pending" },
+      rolled: { icon: "fa-check", label: "ONWATCH.RollStatus.Rolled" },
+      timeout: { icon: "fa-hourglass-end", label: "ONWATCH.RollStatus.Timeout" },
+      cancelled: { icon: "fa-ban", label: "ONWATCH.RollStatus.Cancelled" },
+    };
+    if (!(status in badges)) return null;
+    const { icon, label } = badges[status];
+    return { status, icon, label: game.i18n.localize(label) };
+  }
+
+  /**
+   * Prepares the vision badge of a member.
+   * @param {Vision} vision - The vision of the member.
+   * @returns {{icon: string, label: string, impaired: boolean}}
+   */
+  _prepareVision({ light, sense, impaired }) {
+    const lightLabel = game.i18n.localize(WatchManager.LIGHT_LEVELS[light]);
+    if (impaired) {
+      return {
+        icon: "fa-eye-low-vision",
+        label: game.i18n.format("ONWATCH.Vision.Impaired", { light: lightLabel }),
+        impaired,
+      };
+    }
+    const label = sense
+      ? game.i18n.format("ONWATCH.Vision.Sense", {
+        light: lightLabel,
+        sense: game.i18n.localize(`ONWATCH.Vision.Senses.${sense}`),
+      })
+      : game.i18n.format("ONWATCH.Vision.Normal", { light: lightLabel });
+    return { icon: sense ? "fa-moon" : "fa-eye", label, impaired };
+  }
 
   /**
    * Check if the curent turn is avilitable for roll.
    * @returns {Boolean} Bolean to determine whether the Roll should be enabled or not
    */
   _prepareRoll() {
-    const { isActive, turns, currentTurn } = this.doc;
-    const turn = turns.find((t) => t.sort === currentTurn);
-
-    return isActive && turns.length > 0 && turn.members.size > 0;
+    return this.doc.canRoll;
   }
 
   /** @inheritDoc */
@@ -136,10 +334,34 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
     inputs.forEach((i) =>
       i.addEventListener("change", this.#handleDurationChange.bind(this))
     );
-    this.#dragDrop.bind(div);
+    for (const dragDrop of this.#dragDrop) dragDrop.bind(div);
     return super._onRender(context, options);
   }
 
+  /** @inheritDoc */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this.element.tabIndex = -1;
+    this.element.addEventListener("keydown", this.#handleHistoryKeys.bind(this));
+  }
+
+  /**
+   * Undoes or redoes the edits of the turns with Ctrl+Z and Ctrl+Y while the tracker has focus.
+   * @param {KeyboardEvent} event - The keydown event.
+   * @private
+   */
+  #handleHistoryKeys(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.target.closest("input, textarea")) return;
+    const key = event.key.toLowerCase();
+    const redo = key === "y" || (key === "z" && event.shiftKey);
+    if (key !== "z" && !redo) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (redo) this.doc.redo();
+    else this.doc.undo();
+  }
+
   /**
    * Handles duration input change for a specific turn.
    * @param {Event} e - The change event triggered by the duration input.
@@ -168,31 +390,72 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
   }
 
   /**
-   * Create drag-and-drop workflow handlers for this Application
-   * @returns {DragDrop}     An array of DragDrop handlers
+   * Create drag-and-drop workflow handlers for this Application.
+   * The controls dragged to the hotbar have their own handler, as anybody can drag them.
+   * @returns {DragDrop[]}     An array of DragDrop handlers
    * @private
    */
   #createDragDropHandlers() {
-    return new DragDrop({
-      dragSelector: null,
-      dropSelector: ".turn",
-      permissions: {
-        dragstart: this._canDragStart.bind(this),
-        drop: this._canDragDrop.bind(this),
-      },
-      callbacks: {
-        dragstart: this._onDragStart.bind(this),
-        drop: this._onDragDrop.bind(this),
-      },
-    });
+    return [
+      new DragDrop({
+        dragSelector: ".turn[data-index], .member[data-member]",
+        dropSelector: null,
+        permissions: {
+          dragstart: this._canDragStart.bind(this),
+          drop: this._canDragDrop.bind(this),
+        },
+        callbacks: {
+          dragstart: this._onDragStart.bind(this),
+          drop: this._onDragDrop.bind(this),
+        },
+      }),
+      new DragDrop({
+        dragSelector: "[data-command]",
+        permissions: {
+          drop: () => false,
+        },
+        callbacks: {
+          dragstart: this._onDragStart.bind(this),
+        },
+      }),
+    ];
   }
   _canDragStart(selector) {
-    return false;
+    const { add, remove, reorder } = this.doc.permissions;
+    return reorder || add || remove;
   }
   _canDragDrop(selector) {
-    return true;
+    const { add, remove, reorder } = this.doc.permissions;
+    return add || remove || reorder;
+  }
+
+  /**
+   * Sets the drag data of a dragged turn, member, or control dragged to the hotbar.
+   * A member is dragged inside its turn, so the turn ignores the drags that start on a member.
+   * @param {DragEvent} event - The originating DragEvent.
+   * @protected
+   */
+  _onDragStart(event) {
+    const element = event.currentTarget;
+    if (element.dataset.command) {
+      const data = { type: "OnWatchCommand", command: element.dataset.command };
+      event.dataTransfer.setData("text/plain", JSON.stringify(data));
+      return;
+    }
+
+    const turn = element.closest(".turn[data-index]");
+    const sort = Number(turn.dataset.index);
+
+    if (element.matches(".member[data-member]")) {
+      const uuid = element.dataset.member;
+      const actor = fromUuidSync(uuid);
+      if (!game.user.isGM && !actor?.isOwner) return event.preventDefault();
+      event.dataTransfer.setData("text/plain", JSON.stringify({ type: "OnWatchMember", uuid, sort }));
+      return;
+    }
+    if (event.target.closest(".member") || !this.doc.permissions.reorder) return;
+    event.dataTransfer.setData("text/plain", JSON.stringify({ type: "OnWatchTurn", sort }));
   }
-  _onDragStart(event) {}
 
   /**
    * Callback actions which occur when a dragged element is dropped on a target.
@@ -201,7 +464,46 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
    */
   _onDragDrop(event) {
     const data = TextEditor.getDragEventData(event);
-    if (data.type === "Actor") this._onDropActor(event, data);
+    switch (data.type) {
+      case "Actor":
+        return this._onDropActor(event, data);
+      case "Folder":
+        return this._onDropFolder(event, data);
+      case "OnWatchTurn":
+        return this._onDropTurn(event, data);
+      case "OnWatchMember":
+        return this._onDropMember(event, data);
+    }
+  }
+
+  /**
+   * Handle dropping a turn of the tracker onto another turn, moving it to that position.
+   * @param {DragEvent} event - The concluding DragEvent.
+   * @param {{sort: number}} data - The dragged turn.
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async _onDropTurn(event, data) {
+    const turn = event.target.closest(".turn[data-index]");
+    if (!turn || !this.doc.permissions.reorder) return;
+    await this.doc.moveTurn(data.sort, Number(turn.dataset.index));
+  }
+
+  /**
+   * Handle dropping a member of a turn onto another turn, moving it there,
+   * or copying it while the Ctrl or Alt key is held.
+   * @param {DragEvent} event - The concluding DragEvent.
+   * @param {{uuid: string, sort: number}} data - The dragged member and its turn.
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async _onDropMember(event, data) {
+    const turn = event.target.closest(".turn[data-index]");
+    if (!turn) return;
+    const copy = event.ctrlKey || event.altKey;
+    const { add, remove } = this.doc.permissions;
+    if (!add || (!copy && !remove)) return;
+    await this.doc.moveMember(data.sort, Number(turn.dataset.index), data.uuid, { copy });
   }
 
   /**
@@ -213,10 +515,47 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
    * @protected
    */
   async _onDropActor(event, data) {
+    const actor = await fromUuid(data.uuid);
+    if (!actor) return false;
+    const members = WatchManager.adapter.getGroupMembers(actor) ?? [actor];
+    return this._onDropActors(event, members);
+  }
+
+  /**
+   * Handle dropping a Folder of actors onto the WatchTracker, with the actors of its subfolders.
+   * @param {DragEvent} event - The concluding DragEvent which contains drop data.
+   * @param {object} data - The data transfer extracted from the event.
+   * @returns {Promise<boolean|void>} False if the drop was not permitted.
+   * @protected
+   */
+  async _onDropFolder(event, data) {
+    const folder = await fromUuid(data.uuid);
+    if (folder?.type !== "Actor") return false;
+    const actors = [folder, ...folder.getSubfolders(true)].flatMap((f) => f.contents);
+    return this._onDropActors(event, actors);
+  }
+
+  /**
+   * Adds dropped actors to the turn they were dropped on,
+   * or gives each of them a new turn when they are dropped outside the turns.
+   * @param {DragEvent} event - The concluding DragEvent.
+   * @param {Actor[]} actors - The dropped actors.
+   * @returns {Promise<boolean|void>} False if the drop was not permitted.
+   * @protected
+   */
+  async _onDropActors(event, actors) {
+    // Players can only add the actors they own
+    if (!game.user.isGM) actors = actors.filter((actor) => actor.isOwner);
+    const uuids = Array.from(new Set(actors.map((actor) => actor.uuid)));
+    if (!uuids.length) return false;
+
     const turn = event.target.closest(".turn[data-index]");
-    if (!turn) return false;
-    const index = Number(turn.dataset.index);
-    await this.doc.addMember(index, data.uuid);
+    if (turn) {
+      if (!this.doc.permissions.add) return false;
+      return this.doc.addMembers(Number(turn.dataset.index), uuids);
+    }
+    if (!game.user.isGM) return false;
+    return this.doc.createMemberTurns(uuids);
   }
 
   /* -------------------------------------------- */
@@ -233,6 +572,17 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
     await this.doc.createTurn();
   }
 
+  /**
+   * Replaces the turns of the Watch with a generated schedule.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The capturing HTML element which defines the [data-action].
+   */
+  static async generateSchedule(event, target) {
+    event.preventDefault();
+    const options = await this.doc.createScheduleDialog();
+    if (options) await this.doc.generateSchedule(options);
+  }
+
   /**
    * Deletes a selected turn from the Watch.
    * @param {PointerEvent} event - The originating click event.
@@ -270,6 +620,29 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
     });
   }
 
+  /**
+   * Toggles whether the rest of the turn members was interrupted.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The capturing HTML element which defines the [data-action].
+   */
+  static async toggleInterrupted(event, target) {
+    event.preventDefault();
+    const index = Number(target.closest(".turn[data-index]").dataset.index);
+    await this.doc.toggleInterrupted(index);
+  }
+
+  /**
+   * Opens the activity configuration of a member of a turn.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The capturing HTML element which defines the [data-action].
+   */
+  static async configureActivity(event, target) {
+    event.preventDefault();
+    const { member } = target.dataset;
+    const index = Number(target.closest(".turn[data-index]").dataset.index);
+    await this.doc.configureActivity(index, member);
+  }
+
   /**
    * Delete member of a turn.
    * @param {PointerEvent} event - The originating click event.
@@ -289,7 +662,7 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
   static showPlayer(event, target) {
     event.preventDefault();
     console.log("showPlayer");
-    this.doc.socket.emitRenderTracker(true)
+    this.doc.socket.emitRenderTracker(true, this.doc.watchId);
   }
 
   /**
@@ -297,9 +670,9 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
    * @param {PointerEvent} event - The originating click event.
    * @param {HTMLElement} target - The HTML element that captured the event.
    */
-  static startWatch(event, target) {
+  static async startWatch(event, target) {
     event.preventDefault();
-    this.doc.startWatch();
+    await this.doc.startWatch();
   }
 
   /**
@@ -307,9 +680,10 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
    * @param {PointerEvent} event - The originating click event.
    * @param {HTMLElement} target - The HTML element that captured the event.
    */
-  static endWatch(event, target) {
+  static async endWatch(event, target) {
     event.preventDefault();
-    this.doc.endWatch();
+    const options = await this.doc.createEndWatchDialog();
+    if (options) await this.doc.endWatch(options);
   }
 
   /**
@@ -317,24 +691,21 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
    * @param {PointerEvent} event - The originating click event.
    * @param {HTMLElement} target - The HTML element that captured the event.
    */
-  static previousTurn(event, target) {
+  static async previousTurn(event, target) {
     event.preventDefault();
-    const { duration } = this.doc.turns[this.doc.currentTurn];
-    game.time.advance(duration * -3600);
-    this.doc.updateCurrentTurn(this.doc.currentTurn - 1);
+    await this.doc.previousTurn();
     this.render();
   }
 
   /**
    * Advances to the next turn in the watch sequence, updating the current turn accordingly.
+   * Runs the encounter check of the turn that ends, if configured.
    * @param {PointerEvent} event - The originating click event.
    * @param {HTMLElement} target - The HTML element that captured the event.
    */
-  static nextTurn(event, target) {
+  static async nextTurn(event, target) {
     event.preventDefault();
-    const { duration } = this.doc.turns[this.doc.currentTurn];
-    game.time.advance(duration * 3600);
-    this.doc.updateCurrentTurn(this.doc.currentTurn + 1);
+    await this.doc.nextTurn();
     this.render();
   }
 
@@ -346,4 +717,155 @@ export default class WatchTracker extends HandlebarsApplicationMixin(
   static async roll(event, target) {
     await this.doc.watchRoll();
   }
+
+  /**
+   * Sets the stealth of something approaching the camp to compare against the passive scores.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async configureApproach(event, target) {
+    event.preventDefault();
+    await this.doc.configureApproach();
+  }
+
+  /**
+   * Resolves something approaching the camp during the current turn.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async somethingApproaches(event, target) {
+    event.preventDefault();
+    await this.doc.createApproachDialog();
+  }
+
+  /**
+   * Opens the start time configuration of the watch.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async configureStartTime(event, target) {
+    event.preventDefault();
+    await this.doc.configureStartTime();
+  }
+
+  /**
+   * Opens the check configuration of the watch, or of a turn if the target is inside one.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async configureCheck(event, target) {
+    event.preventDefault();
+    const li = target.closest(".turn[data-index]");
+    await this.doc.configureCheck(li ? Number(li.dataset.index) : undefined);
+  }
+
+  /**
+   * Opens the light level configuration of the watch.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async configureLight(event, target) {
+    event.preventDefault();
+    await this.doc.configureLight();
+  }
+
+  /**
+   * Opens the random encounter configuration of the watch.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async configureEncounter(event, target) {
+    event.preventDefault();
+    await this.doc.configureEncounter();
+  }
+
+  /**
+   * Undoes the last edit of the turns.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async undo(event, target) {
+    event.preventDefault();
+    await this.doc.undo();
+  }
+
+  /**
+   * Redoes the last undone edit of the turns.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async redo(event, target) {
+    event.preventDefault();
+    await this.doc.redo();
+  }
+
+  /**
+   * Shows another watch.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async selectWatch(event, target) {
+    event.preventDefault();
+    await this.doc.selectWatch(target.dataset.watchId);
+  }
+
+  /**
+   * Creates a new watch.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async createWatch(event, target) {
+    event.preventDefault();
+    await this.doc.createWatch({ scene: canvas.scene?.id ?? null });
+  }
+
+  /**
+   * Renames the shown watch and sets the scene of its camp.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async configureWatch(event, target) {
+    event.preventDefault();
+    await this.doc.configureWatch();
+  }
+
+  /**
+   * Deletes the shown watch.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async deleteWatch(event, target) {
+    event.preventDefault();
+    await this.doc.deleteWatch();
+  }
+
+  /**
+   * Approves a change made by a player.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async approveChange(event, target) {
+    event.preventDefault();
+    await this.doc.approveChange(target.closest(".pending-change[data-id]").dataset.id);
+  }
+
+  /**
+   * Rejects a change made by a player.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static async rejectChange(event, target) {
+    event.preventDefault();
+    await this.doc.rejectChange(target.closest(".pending-change[data-id]").dataset.id);
+  }
+
+  /**
+   * Opens the watch order presets manager.
+   * @param {PointerEvent} event - The originating click event.
+   * @param {HTMLElement} target - The HTML element that captured the event.
+   */
+  static openPresets(event, target) {
+    event.preventDefault();
+    this.doc.presetsApp.render(true);
+  }
 }
@@ -1,7 +1,11 @@
 import WatchManager from "./watch-manager.mjs";
 import SocketManager from "./socket-manager.mjs";
+import SystemAdapter from "./system-adapter.mjs";
+import Dnd5eAdapter from "./dnd5e-adapter.mjs";
 
 export {
     WatchManager as WatchManagerClass,
-    SocketManager as SocketManagerClass
+    SocketManager as SocketManagerClass,
+    SystemAdapter as SystemAdapterClass,
+    Dnd5eAdapter as Dnd5eAdapterClass
 }
\ No newline at end of file
@@ -0,0 +1,130 @@
+import SystemAdapter from "./system-adapter.mjs";
+
+/**
+ * The adapter of the dnd5e system. Checks are skills, abilities or tools,
+ * in the form "skill:<id>", "ability:<id>" or "tool:<id>".
+ * @class
+ */
+export default class Dnd5eAdapter extends SystemAdapter {
+  /** @override */
+  get defaultCheck() {
+    return "skill:prc";
+  }
+
+  /** @override */
+  get perceptionCheck() {
+    return "skill:prc";
+  }
+
+  /** @override */
+  get stealthCheck() {
+    return "skill:ste";
+  }
+
+  /**
+   * The configuration of each type of check.
+   * @type {Record<string, [string, object]>} The localization key of the group label
+   *                                           and the system configuration of each type.
+   * @private
+   */
+  get _checkTypes() {
+    return {
+      skill: ["ONWATCH.Check.Skill", CONFIG.DND5E.skills],
+      ability: ["ONWATCH.Check.Ability", CONFIG.DND5E.abilities],
+      tool: ["ONWATCH.Check.Tool", CONFIG.DND5E.tools ?? {}],
+    };
+  }
+
+  /** @override */
+  getCheckChoices() {
+    const choices = {};
+    for (const [type, [group, config]] of Object.entries(this._checkTypes)) {
+      for (const id of Object.keys(config)) {
+        const check = `${type}:${id}`;
+        choices[check] = `${game.i18n.localize(group)}: ${this.getCheckLabel(check)}`;
+      }
+    }
+    return choices;
+  }
+
+  /** @override */
+  isValidCheck(check) {
+    if (typeof check !== "string") return false;
+    const [type, id] = check.split(":");
+    const config = this._checkTypes[type]?.[1];
+    return !!config && Object.hasOwn(config, id);
+  }
+
+  /** @override */
+  getCheckLabel(check) {
+    const [type, id] = check.split(":");
+    switch (type) {
+      case "skill":
+        return CONFIG.DND5E.skills[id]?.label ?? id;
+      case "ability":
+        return game.i18n.format("ONWATCH.Check.AbilityCheck", { ability: CONFIG.DND5E.abilities[id]?.label ?? id });
+      case "tool":
+        return dnd5e.documents.Trait?.keyLabel?.(`tool:${id}`) ?? id;
+      default:
+        return check;
+    }
+  }
+
+  /** @override */
+  async rollCheck(actor, check, options = {}) {
+    const [type, id] = check.split(":");
+    switch (type) {
+      case "ability":
+        return actor.rollAbilityTest(id, options);
+      case "tool":
+        return actor.rollToolCheck(id, options);
+      default:
+        return actor.rollSkill(id, options);
+    }
+  }
+
+  /** @override */
+  getPassiveScore(actor, skill) {
+    const id = { perception: "prc", stealth: "ste" }[skill];
+    const passive = actor.system.skills?.[id]?.passive;
+    return typeof passive === "number" ? passive : null;
+  }
+
+  /** @override */
+  getGroupMembers(actor) {
+    if (actor.type !== "group") return null;
+    return Array.from(actor.system.members ?? [], (member) => member.actor ?? member)
+      .filter((member) => member instanceof Actor);
+  }
+
+  /** @override */
+  getSenses(actor) {
+    return actor.system.attributes?.senses ?? {};
+  }
+
+  /** @override */
+  get canRest() {
+    return true;
+  }
+
+  /** @override */
+  async rest(actor, type, { dialog = true } = {}) {
+    const config = { dialog, chat: false };
+    return type === "short" ? actor.shortRest(config) : actor.longRest(config);
+  }
+
+  /** @override */
+  summarizeRest(actor, result) {
+    const updates = foundry.utils.flattenObject(result.updateData ?? {});
+    const items = (result.updateItems ?? [])
+      .map(({ _id }) => actor.items.get(_id)?.name)
+      .filter((name) => name);
+
+    return {
+      hp: result.dhp ?? 0,
+      hd: result.dhd ?? 0,
+      spells: Object.keys(updates).some((key) => key.startsWith("system.spells.")),
+      items: Array.from(new Set(items)),
+    };
+  }
+}
@@ -1,5 +1,27 @@
 import WatchManager from "./watch-manager.mjs";
 
+const { ArrayField, BooleanField, NumberField, ObjectField, SchemaField, StringField } =
+  foundry.data.fields;
+
+/**
+ * A field for the UUID of an Actor.
+ * @returns {StringField}
+ */
+const actorUuidField = () =>
+  new StringField({
+    required: true,
+    blank: false,
+    validate: (uuid) => WatchManager.isActorUuid(uuid),
+    validationError: "must be the UUID of an Actor",
+  });
+
+/**
+ * A message sent to another user, localized by that user.
+ * @typedef {Object} SocketNotification
+ * @property {string} message - The localization key of the message.
+ * @property {object} [data] - The data formatted into the message.
+ */
+
 /**
  * Manages socket communications for the Watch module, allowing for turn updates,
  * rendering the tracker, and roll requests.
@@ -19,6 +41,115 @@ export default class SocketManager {
     this._registerListeners();
   }
 
+  /**
+   * Time in milliseconds to wait for the responses of a request before resolving it with what arrived,
+   * from the `rollTimeout` setting.
+   * @type {number}
+   */
+  static get requestTimeout() {
+    return game.settings.get("on-watch", "rollTimeout") * 1000;
+  }
+
+  /**
+   * The schemas the payload of each socket message type is validated against.
+   * @type {Record<string, SchemaField>}
+   */
+  static SCHEMAS = Object.freeze({
+    "UPDATE-TURNS": new SchemaField({
+      watchId: new StringField({ required: true, blank: false }),
+      history: new StringField({ nullable: true, choices: ["undo", "redo"] }),
+      turns: new ArrayField(
+        new SchemaField({
+          duration: new NumberField({ required: true, nullable: false, integer: true, min: 1, max: 99 }),
+          members: new ArrayField(actorUuidField()),
+          activities: new ObjectField(),
+          sort: new NumberField({ integer: true, min: 0 }),
+          interrupted: new BooleanField(),
+          check: new StringField({ nullable: true }),
+        }),
+        { required: true }
+      ),
+    }),
+    NOTIFY: new SchemaField({
+      userId: new StringField({ required: true, blank: false }),
+      message: new StringField({ required: true, blank: false }),
+      data: new ObjectField(),
+      type: new StringField({ choices: ["info", "warn", "error"] }),
+      reset: new BooleanField(),
+    }),
+    "RENDER-TRACKER": new SchemaField({
+      force: new BooleanField(),
+      watchId: new StringField({ nullable: true }),
+    }),
+    "ROLL-STATUS": new SchemaField({
+      watchId: new StringField({ required: true, blank: false }),
+      statuses: new ObjectField({ required: true }),
+    }),
+    "REQUEST-ROLL": new SchemaField({
+      requestId: new StringField({ required: true, blank: false }),
+      users: new ObjectField({ required: true }),
+    }),
+    "REQUEST-REST": new SchemaField({
+      requestId: new StringField({ required: true, blank: false }),
+      users: new ObjectField({ required: true }),
+    }),
+    RESPONSE: new SchemaField({
+      requestId: new StringField({ required: true, blank: false }),
+      userId: new StringField({ required: true, blank: false }),
+      data: new ArrayField(new ObjectField()),
+    }),
+  });
+
+  /**
+   * The schemas of the entry of each requested user in request messages.
+   * @type {Record<string, SchemaField>}
+   */
+  static REQUEST_SCHEMAS = Object.freeze({
+    "REQUEST-ROLL": new SchemaField({
+      actors: new ArrayField(
+        new SchemaField({
+          uuid: actorUuidField(),
+          rollData: new ObjectField(),
+        }),
+        { required: true }
+      ),
+      check: new StringField({
+        required: true,
+        validate: (check) => WatchManager.isValidCheck(check),
+        validationError: "must be a valid check",
+      }),
+    }),
+    "REQUEST-REST": new SchemaField({
+      actors: new ArrayField(
+        new SchemaField({
+          uuid: actorUuidField(),
+          type: new StringField({ required: true, choices: ["long", "short"] }),
+        }),
+        { required: true }
+      ),
+    }),
+  });
+
+  /**
+   * Socket message types that only a GM can send.
+   * @type {string[]}
+   */
+  static GM_MESSAGES = ["RENDER-TRACKER", "ROLL-STATUS", "REQUEST-ROLL", "REQUEST-REST"];
+
+  /**
+   * Requests awaiting responses from other clients, keyed by request id.
+   * @type {Map<string, {users: Set<string>, responses: Map<string, any>, resolve: Function,
+   *                     onResponse?: Function, onLate?: Function, timeout: number}>}
+   */
+  #requests = new Map();
+
+  /**
+   * Requests that timed out with users who did not respond, keyed by request id.
+   * Kept so the responses that arrive late still reach the requesting client.
+   * @type {Map<string, {users: Set<string>, onLate: Function}>}
+   */
+  #expired = new Map();
+
   /* -------------------------------------------- */
   /*  Listeners Methods                           */
   /* -------------------------------------------- */
@@ -29,23 +160,162 @@ export default class SocketManager {
    * @private
    */
   _registerListeners() {
-    game.socket.on(this.identifier, ({ type, payload }) => {
+    game.socket.on(this.identifier, async ({ type, payload }, userId) => {
+      if (!Object.hasOwn(SocketManager.SCHEMAS, type)) {
+        return console.error(`Unknown socket event type: ${type}`);
+      }
+      if (!this._isRecipient(type, payload)) return;
+
+      const error = await this._validateMessage(type, payload, userId);
+      if (error) return this._rejectMessage(type, payload, error, userId);
+
       switch (type) {
         case "UPDATE-TURNS":
-          this._handleUpdateTurns(payload);
+          this._handleUpdateTurns(payload, userId);
+          break;
+        case "NOTIFY":
+          this._handleNotify(payload);
           break;
         case "RENDER-TRACKER":
           this._handleRenderTracker(payload);
           break;
+        case "ROLL-STATUS":
+          this._handleRollStatus(payload);
+          break;
         case "REQUEST-ROLL":
           this._handleRequestRoll(payload);
           break;
-        default:
-          console.error(`Unknown socket event type: ${type}`);
+        case "REQUEST-REST":
+          this._handleRequestRest(payload);
+          break;
+        case "RESPONSE":
+          this._handleResponse(payload);
+          break;
       }
     });
   }
 
+  /**
+   * Check whether this client is the one that handles a socket message.
+   * Only the recipient validates a message, so a rejection is reported to the sender once.
+   * @param {string} type - The type of the message.
+   * @param {Object} payload - The data of the message.
+   * @returns {boolean}
+   * @private
+   */
+  _isRecipient(type, payload) {
+    switch (type) {
+      case "UPDATE-TURNS":
+        return game.user === game.users.activeGM;
+      case "NOTIFY":
+        return payload?.userId === game.user.id;
+      case "REQUEST-ROLL":
+      case "REQUEST-REST":
+        return Object.hasOwn(payload?.users ?? {}, game.user.id);
+      case "RESPONSE":
+        return this.#requests.has(payload?.requestId) || this.#expired.has(payload?.requestId);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Validates a socket message against the schema of its type, its sender, and the ownership
+   * of the actors it refers to.
+   * @param {string} type - The type of the message.
+   * @param {Object} payload - The data of the message.
+   * @param {string} userId - The id of the user who sent the message.
+   * @returns {Promise<SocketNotification|null>} The reason the message is invalid, or null if it is valid.
+   * @private
+   */
+  async _validateMessage(type, payload, userId) {
+    const sender = game.users.get(userId);
+    if (!sender) return { message: "ONWATCH.Socket.UnknownSender" };
+    if (SocketManager.GM_MESSAGES.includes(type) && !sender.isGM) {
+      return { message: "ONWATCH.Socket.GMOnly" };
+    }
+
+    const failure = SocketManager.SCHEMAS[type].validate(payload ?? {});
+    if (failure) return { message: "ONWATCH.Socket.Invalid", data: { error: failure.asError().message } };
+
+    switch (type) {
+      case "NOTIFY":
+        if (payload.reset && !sender.isGM) return { message: "ONWATCH.Socket.ResetGMOnly" };
+        break;
+      case "REQUEST-ROLL":
+      case "REQUEST-REST":
+        return this._validateRequest(type, payload.users[game.user.id]);
+      case "RESPONSE":
+        if (payload.userId !== userId) return { message: "ONWATCH.Socket.ResponseSender" };
+        if (!(this.#requests.get(payload.requestId) ?? this.#expired.get(payload.requestId)).users.has(userId)) {
+          return { message: "ONWATCH.Socket.NotRequested" };
+        }
+        break;
+    }
+    return null;
+  }
+
+  /**
+   * Validates the entry of this user in a request message, ensuring that it only refers to actors this user owns.
+   * @param {string} type - The type of the request.
+   * @param {Object} entry - The entry of this user.
+   * @returns {Promise<SocketNotification|null>} The reason the entry is invalid, or null if it is valid.
+   * @private
+   */
+  async _validateRequest(type, entry) {
+    const failure = SocketManager.REQUEST_SCHEMAS[type].validate(entry ?? {});
+    if (failure) return { message: "ONWATCH.Socket.Invalid", data: { error: failure.asError().message } };
+
+    const { OWNER } = foundry.CONST.DOCUMENT_OWNERSHIP_LEVELS;
+    for (const actor of entry.actors) {
+      const uuid = typeof actor === "string" ? actor : actor.uuid;
+      const document = await fromUuid(uuid);
+      if (document?.getUserLevel(game.user) !== OWNER) {
+        return { message: "ONWATCH.Socket.NotOwner", data: { user: game.user.name, uuid } };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reports a rejected socket message back to its sender.
+   * @param {string} type - The type of the message.
+   * @param {Object} payload - The data of the message.
+   * @param {SocketNotification} error - The reason the message was rejected.
+   * @param {string} userId - The id of the user who sent the message.
+   * @private
+   */
+  _rejectMessage(type, payload, error, userId) {
+    console.warn(`On Watch | Rejected ${type} socket message: ${SocketManager.format(error)}`);
+    // Notifications are not answered, to avoid bouncing rejections between clients
+    if (type === "NOTIFY") return;
+    // Answer rejected requests with no results, so the sender does not wait for them
+    if (type.startsWith("REQUEST-") && typeof payload?.requestId === "string") {
+      this._respond(payload.requestId, []);
+    }
+    this.emitNotify(userId, "ONWATCH.Socket.Rejected", {
+      data: { type, error },
+      type: "error",
+      reset: type === "UPDATE-TURNS",
+    });
+  }
+
+  /**
+   * Localizes a notification sent over the socket, so each user reads it in their own language.
+   * A value of its data can be a notification itself, which is localized the same way.
+   * @param {SocketNotification} notification
+   * @returns {string}
+   */
+  static format({ message, data = {} }) {
+    const values = Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [
+        key,
+        typeof value?.message === "string" ? SocketManager.format(value) : value,
+      ])
+    );
+    return game.i18n.format(message, values);
+  }
+
   /* -------------------------------------------- */
   /*  Emitters Events Methods                     */
   /* -------------------------------------------- */
@@ -63,26 +333,116 @@ export default class SocketManager {
   /**
    * Emits an event to update the turns.
    * @param {Turn[]} turns - Array of updated turn objects.
+   * @param {string} watchId - The id of the watch of the turns.
+   * @param {string|null} [history=null] - "undo" or "redo" if the turns come from the history.
+   */
+  emitUpdateTurns(turns, watchId, history = null) {
+    this._emit("UPDATE-TURNS", { watchId, turns, history });
+  }
+
+  /**
+   * Emits an event to show a notification to a user.
+   * @param {string} userId - The id of the user to notify.
+   * @param {string} message - The localization key of the message, translated by the user.
+   * @param {object} [options]
+   * @param {object} [options.data={}] - The data formatted into the message, see {@link SocketManager.format}.
+   * @param {string} [options.type="warn"] - The type of notification.
+   * @param {boolean} [options.reset=false] - Whether the user should restore the stored turns.
    */
-  emitUpdateTurns(turns) {
-    this._emit("UPDATE-TURNS", { turns });
+  emitNotify(userId, message, { data = {}, type = "warn", reset = false } = {}) {
+    this._emit("NOTIFY", { userId, message, data, type, reset });
   }
 
   /**
    * Emits an event to render the tracker application.
    * @param {boolean} [force=false] - Whether to force rendering the application.
+   * @param {string|null} [watchId=null] - A watch to show, to the users who can see it.
+   */
+  emitRenderTracker(force = false, watchId = null) {
+    this._emit("RENDER-TRACKER", { force, watchId });
+  }
+
+  /**
+   * Emits an event to show the status of the watch rolls of a watch.
+   * @param {string} watchId - The id of the watch of the rolls.
+   * @param {Map<string, string>} statuses - The status of the roll of each actor, keyed by actor UUID.
    */
-  emitRenderTracker(force = false) {
-    this._emit("RENDER-TRACKER", { force });
+  emitRollStatus(watchId, statuses) {
+    this._emit("ROLL-STATUS", { watchId, statuses: Object.fromEntries(statuses) });
   }
 
   /**
-   * Emits an event to request a roll.
+   * Emits an event to request a roll, and waits for the results of the rolls.
    * @param {Map} users - Map of user with the actors request it.
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Time in milliseconds to wait for the rolls.
+   * @param {Function} [options.onResponse] - Called with the user id and the serialized rolls of each response.
+   * @param {Function} [options.onLate] - Called with the user id and the serialized rolls of each response
+   *                                      that arrives after the request timed out.
+   * @returns {Promise<{uuid: string, roll: object}[]>} The serialized rolls sent back by the users.
    */
-  emitRequestRoll(users) {
-    users = Object.fromEntries(users.entries());
-    this._emit("REQUEST-ROLL", {users});
+  async emitRequestRoll(users, { timeout, onResponse, onLate } = {}) {
+    const responses = await this._request("REQUEST-ROLL", {
+      users: Object.fromEntries(users.entries()),
+    }, users.keys(), { timeout, onResponse, onLate });
+    return Array.from(responses.values()).flat();
+  }
+
+  /**
+   * Emits an event that request a set of users to rest with their actors,
+   * and waits for the summaries of the rests for the time of the `rollTimeout` setting.
+   * @param {Map} users - Map of user with the actors request it.
+   * @param {object} [options]
+   * @param {Function} [options.onLate] - Called with the user id and the rest summaries of each response
+   *                                      that arrives after the request timed out.
+   * @returns {Promise<object[]>} The rest summaries sent back by the users.
+   */
+  async emitRequestRest(users, { onLate } = {}) {
+    const responses = await this._request("REQUEST-REST", {
+      users: Object.fromEntries(users.entries()),
+    }, users.keys(), { onLate });
+    return Array.from(responses.values()).flat();
+  }
+
+  /**
+   * Emits an event which expects a response from each of the given users.
+   * @param {string} type - The type of event to emit.
+   * @param {Object} payload - The data associated with the event.
+   * @param {Iterable<string>} userIds - The ids of the users that should respond.
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Time in milliseconds to wait for the responses.
+   * @param {Function} [options.onResponse] - Called with the user id and the data of each response as it arrives.
+   * @param {Function} [options.onLate] - Called with the user id and the data of each response
+   *                                      that arrives after the request timed out.
+   * @returns {Promise<Map<string, any>>} The responses received, keyed by user id.
+   * @private
+   */
+  _request(type, payload, userIds, { timeout = SocketManager.requestTimeout, onResponse, onLate } = {}) {
+    const users = new Set(userIds);
+    if (!users.size) return Promise.resolve(new Map());
+
+    const requestId = foundry.utils.randomID();
+    return new Promise((resolve) => {
+      this.#requests.set(requestId, {
+        users,
+        responses: new Map(),
+        resolve,
+        onResponse,
+        onLate,
+        timeout: setTimeout(() => this._resolveRequest(requestId), timeout),
+      });
+      this._emit(type, { ...payload, requestId });
+    });
+  }
+
+  /**
+   * Emits the response of this client to a request.
+   * @param {string} requestId - The id of the request being responded.
+   * @param {any} data - The response data.
+   * @private
+   */
+  _respond(requestId, data) {
+    this._emit("RESPONSE", { requestId, userId: game.user.id, data });
   }
 
   /* -------------------------------------------- */
@@ -91,39 +451,153 @@ export default class SocketManager {
 
   /**
    * Handles updates to the turns from a received socket event.
+   * The active GM checks them against the player permissions before storing them,
+   * and tells the player if they could not be handled.
    * @param {Object} payload - The updated turn data.
+   * @param {string} userId - The id of the user who sent the event.
+   * @returns {Promise<void>}
    * @private
    */
-  _handleUpdateTurns({turns}) {
-    if(game.user=== game.users.activeGM) game.settings.set("on-watch", "turns", turns);
+  async _handleUpdateTurns({ watchId, turns, history }, userId) {
+    if (game.user !== game.users.activeGM) return;
+    try {
+      await this.doc.forWatch(watchId).receivePlayerChange(turns, game.users.get(userId), { history });
+    } catch (error) {
+      console.error("On Watch | Failed to handle the change of a player.", error);
+      this.emitNotify(userId, "ONWATCH.Player.Failed", { type: "error", reset: true });
+    }
+  }
+
+  /**
+   * Handles a notification addressed to this user from a received socket event.
+   * @param {Object} payload - Socket data.
+   * @param {string} payload.userId - The id of the user to notify.
+   * @param {string} payload.message - The localization key of the message.
+   * @param {object} payload.data - The data formatted into the message.
+   * @param {string} payload.type - The type of notification.
+   * @param {boolean} payload.reset - Whether to restore the stored turns.
+   * @private
+   */
+  async _handleNotify({ userId, message, data, type, reset }) {
+    if (userId !== game.user.id) return;
+    ui.notifications.notify(SocketManager.format({ message, data }), type);
+    if (!reset) return;
+    await this.doc._initWatches();
+    this.doc.app.render();
   }
 
   /**
    * Handles rendering the tracker application from a received socket event.
    * @param {Object} payload - The render settings.
    * @param {boolean} payload.force - Whether to force rendering the application.
+   * @param {string|null} payload.watchId - A watch to show, ignored by the users who cannot see it.
+   * @private
+   */
+  _handleRenderTracker({ force, watchId }) {
+    const { watchManager } = game.modules.get("on-watch");
+    if (!watchManager) return;
+    if (watchId) {
+      if (!WatchManager.getVisibleWatches().some((w) => w.id === watchId)) return;
+      watchManager.watchId = watchId;
+    }
+    watchManager.app.render(force);
+  }
+
+  /**
+   * Handles the status of the watch rolls of a watch from a received socket event.
+   * @param {Object} payload - Socket data.
+   * @param {string} payload.watchId - The id of the watch of the rolls.
+   * @param {Object} payload.statuses - The status of the roll of each actor, keyed by actor UUID.
    * @private
    */
-  _handleRenderTracker({ force }) {
-    const module = game.modules.get("on-watch");
-    module.watchManager?.app?.render(force);
+  _handleRollStatus({ watchId, statuses }) {
+    const { watchManager } = game.modules.get("on-watch");
+    if (!watchManager) return;
+    watchManager.forWatch(watchId).rollStatus = new Map(Object.entries(statuses));
+    watchManager.app.render();
   }
 
   /**
-   * Handles a roll request from a received socket event.
+   * Handles a roll request from a received socket event, responding with the rolls made.
+   * Each actor rolls with the roll data sent by the requesting client, which already holds its vision modifiers.
+   * The rolls are not posted to chat, the requesting client gathers them in a single card.
    * @param {Object} payload - Socket data.
    * @param {Map} payload.users
+   * @param {string} payload.requestId
    * @private
    */
-  async _handleRequestRoll({users}) {
-    if (Object.hasOwn(users, game.user.id)) {
-      const { actors, rollData } = users[game.user.id];
-      for (const uuid of actors) {
-        const actor = await fromUuid(uuid);
-        await actor.rollSkill("prc", rollData);
-        await new Promise(r => setTimeout(r, 1));
-      }
+  async _handleRequestRoll({ users, requestId }) {
+    if (!Object.hasOwn(users, game.user.id)) return;
+    const { actors, check } = users[game.user.id];
+    const results = [];
+    for (const { uuid, rollData } of actors) {
+      const actor = await fromUuid(uuid);
+      if (!actor) continue;
+      const roll = await WatchManager.rollCheck(actor, check, { ...rollData, chatMessage: false });
+      if (roll) results.push({ uuid, roll: roll.toJSON() });
+    }
+    this._respond(requestId, results);
+  }
+
+  /**
+   * Handles a rest request from a received socket event, resting each requested actor
+   * with its dialog and responding with the summaries of the rests.
+   * @param {Object} payload - Socket data.
+   * @param {Object} payload.users
+   * @param {string} payload.requestId
+   * @private
+   */
+  async _handleRequestRest({ users, requestId }) {
+    if (!Object.hasOwn(users, game.user.id)) return;
+    const { actors } = users[game.user.id];
+    const summaries = [];
+    for (const { uuid, type } of actors) {
+      const actor = await fromUuid(uuid);
+      if (!actor) continue;
+      const result = await WatchManager.restActor(actor, type);
+      summaries.push(WatchManager.summarizeRest(actor, result, type));
+    }
+    this._respond(requestId, summaries);
+  }
+
+  /**
+   * Handles the response of another client to a request made by this client.
+   * A response to a request that already timed out is handed to its `onLate` callback.
+   * @param {Object} payload - Socket data.
+   * @param {string} payload.requestId
+   * @param {string} payload.userId
+   * @param {any} payload.data
+   * @private
+   */
+  _handleResponse({ requestId, userId, data }) {
+    const expired = this.#expired.get(requestId);
+    if (expired?.users.delete(userId)) {
+      if (!expired.users.size) this.#expired.delete(requestId);
+      return expired.onLate(userId, data);
     }
-    
+
+    const request = this.#requests.get(requestId);
+    if (!request?.users.has(userId)) return;
+
+    request.responses.set(userId, data);
+    request.onResponse?.(userId, data);
+    if (request.responses.size === request.users.size) this._resolveRequest(requestId);
+  }
+
+  /**
+   * Resolves a pending request with the responses received so far.
+   * If the request takes late responses, the users who did not respond are still listened to.
+   * @param {string} requestId - The id of the request.
+   * @private
+   */
+  _resolveRequest(requestId) {
+    const request = this.#requests.get(requestId);
+    if (!request) return;
+
+    clearTimeout(request.timeout);
+    this.#requests.delete(requestId);
+    const missing = new Set([...request.users].filter((id) => !request.responses.has(id)));
+    if (request.onLate && missing.size) this.#expired.set(requestId, { users: missing, onLate: request.onLate });
+    request.resolve(request.responses);
   }
 }
@@ -0,0 +1,209 @@
+/**
+ * Senses of an actor, as the range in feet of each sense it has.
+ * @typedef {Object} Senses
+ * @property {number} [darkvision]
+ * @property {number} [blindsight]
+ * @property {number} [tremorsense]
+ * @property {number} [truesight]
+ */
+
+/**
+ * The bridge between the watch and the game system: rolling the watch check, reading passive scores
+ * and senses, and applying rests.
+ *
+ * This base class is the generic adapter used by systems that have none of their own. It rolls the
+ * formula of the `checkFormula` setting, and has no passive scores, special senses nor rests. Systems can register their own adapter, usually extending this class, from the
+ * `onWatch.registerAdapters` hook:
+ * ```js
+ * Hooks.once("onWatch.registerAdapters", (SystemAdapter) => {
+ *   class Pf2eAdapter extends SystemAdapter { ... }
+ *   SystemAdapter.register("pf2e", Pf2eAdapter);
+ * });
+ * ```
+ * @class
+ */
+export default class SystemAdapter {
+  /**
+   * The adapter classes registered for each system, keyed by system id.
+   * @type {Map<string, typeof SystemAdapter>}
+   */
+  static #registry = new Map();
+
+  /**
+   * The adapter instance of the current system, created on first use.
+   * @type {SystemAdapter|null}
+   */
+  static #current = null;
+
+  /**
+   * Registers the adapter of a system.
+   * @param {string} systemId - The id of the system, such as "pf2e".
+   * @param {typeof SystemAdapter} adapterClass - The adapter class, usually a subclass of SystemAdapter.
+   */
+  static register(systemId, adapterClass) {
+    if (typeof adapterClass !== "function") {
+      throw new Error(`On Watch | The adapter of "${systemId}" must be a class.`);
+    }
+    SystemAdapter.#registry.set(systemId, adapterClass);
+    if (systemId === game.system?.id) SystemAdapter.#current = null;
+  }
+
+  /**
+   * The adapter of the current system, the generic adapter if the system has none.
+   * @type {SystemAdapter}
+   */
+  static get current() {
+    if (!SystemAdapter.#current) {
+      const AdapterClass = SystemAdapter.#registry.get(game.system.id) ?? SystemAdapter;
+      SystemAdapter.#current = new AdapterClass();
+    }
+    return SystemAdapter.#current;
+  }
+
+  /* -------------------------------------------- */
+  /*  Check Methods                               */
+  /* -------------------------------------------- */
+
+  /**
+   * The check rolled in a watch unless configured otherwise.
+   * @type {string}
+   */
+  get defaultCheck() {
+    return "formula";
+  }
+
+  /**
+   * The check that relies on sight, rolled with disadvantage when the light impairs the vision of an actor.
+   * Null if no check does.
+   * @type {string|null}
+   */
+  get perceptionCheck() {
+    return null;
+  }
+
+  /**
+   * The check rolled by creatures sneaking up on the camp.
+   * @type {string}
+   */
+  get stealthCheck() {
+    return "formula";
+  }
+
+  /**
+   * The checks that can be rolled in a watch.
+   * @returns {Record<string, string>} The labels of the checks, keyed by check.
+   */
+  getCheckChoices() {
+    return { formula: this.getCheckLabel("formula") };
+  }
+
+  /**
+   * Check whether a string identifies a check that can be rolled.
+   * @param {any} check
+   * @returns {boolean}
+   */
+  isValidCheck(check) {
+    return typeof check === "string" && Object.hasOwn(this.getCheckChoices(), check);
+  }
+
+  /**
+   * Get a label for a check.
+   * @param {string} check
+   * @returns {string}
+   */
+  getCheckLabel(check) {
+    return check === "formula" ? game.i18n.localize("ONWATCH.Check.Watch") : check;
+  }
+
+  /**
+   * Rolls a check for an actor.
+   * The generic check rolls the formula of the `checkFormula` setting with the roll data of the actor,
+   * turning its d20 into two dice for advantage and disadvantage.
+   * @param {Actor} actor - The actor that rolls.
+   * @param {string} check - The check to roll.
+   * @param {object} [options]
+   * @param {boolean} [options.advantage] - Roll with advantage.
+   * @param {boolean} [options.disadvantage] - Roll with disadvantage.
+   * @param {boolean} [options.chatMessage=true] - Post the roll to chat.
+   * @param {boolean} [options.fastForward=false] - Skip the roll configuration dialog of the system, if it has one.
+   * @returns {Promise<Roll|null>}
+   */
+  async rollCheck(actor, check, { advantage = false, disadvantage = false, chatMessage = true } = {}) {
+    let formula = game.settings.get("on-watch", "checkFormula") || "1d20";
+    if (advantage !== disadvantage) {
+      formula = formula.replace(/\b1?d20\b/, advantage ? "2d20kh" : "2d20kl");
+    }
+
+    const roll = await new Roll(formula, actor.getRollData()).evaluate();
+    if (chatMessage) {
+      await roll.toMessage({
+        speaker: ChatMessage.getSpeaker({ actor }),
+        flavor: this.getCheckLabel(check),
+      });
+    }
+    return roll;
+  }
+
+  /* -------------------------------------------- */
+  /*  Actor Methods                               */
+  /* -------------------------------------------- */
+
+  /**
+   * Get a passive score of an actor.
+   * @param {Actor} actor
+   * @param {string} skill - The passive score, "perception" or "stealth".
+   * @returns {number|null} Null if the actor has no such score.
+   */
+  getPassiveScore(actor, skill) {
+    return null;
+  }
+
+  /**
+   * Get the members of a group actor, such as a party.
+   * @param {Actor} actor
+   * @returns {Actor[]|null} Null if the actor is not a group.
+   */
+  getGroupMembers(actor) {
+    return null;
+  }
+
+  /**
+   * Get the special senses of an actor.
+   * @param {Actor} actor
+   * @returns {Senses}
+   */
+  getSenses(actor) {
+    return {};
+  }
+
+  /**
+   * Whether the system has rests the adapter can apply.
+   * @type {boolean}
+   */
+  get canRest() {
+    return false;
+  }
+
+  /**
+   * Applies a rest to an actor.
+   * @param {Actor} actor - The actor that rests.
+   * @param {string} type - The type of rest, "long" or "short".
+   * @param {object} [options]
+   * @param {boolean} [options.dialog=true] - Show the rest dialog of the system.
+   * @returns {Promise<object|null|undefined>} The result of the rest, undefined if the rest was cancelled,
+   *                                           or null if the system has no rests.
+   */
+  async rest(actor, type, { dialog = true } = {}) {
+    return null;
+  }
+
+  /**
+   * Describes what an actor recovered on a rest, for the rest chat card.
+   * @param {Actor} actor - The actor that rested.
+   * @param {object} result - The result returned by {@link SystemAdapter#rest}.
+   * @returns {{hp?: number, hd?: number, spells?: boolean, items?: string[]}}
+   */
+  summarizeRest(actor, result) {
+    return {};
+  }
+}
@@ -1,12 +1,25 @@
 import WatchTracker from "../apps/watch-tracker.mjs";
+import WatchPresets from "../apps/watch-presets.mjs";
 import SocketManager from "./socket-manager.mjs";
+import SystemAdapter from "./system-adapter.mjs";
 
 /**
  * Represents a single turn in a watch.
  * @typedef {Object} Turn
  * @property {number} duration - Duration of the turn in hours.
  * @property {Set<string>} members - A set of member UUID.
+ * @property {Map<string, Activity>} activities - The activities of the members, keyed by UUID.
+ *                                               Members without an entry are keeping watch.
  * @property {number} sort - Sort order for the turn.
+ * @property {boolean} interrupted - Whether the rest of the members sleeping during the turn was interrupted.
+ * @property {string|null} check - The check rolled in the turn, overriding the check of the watch.
+ */
+
+/**
+ * What a member does during a turn.
+ * @typedef {Object} Activity
+ * @property {string} type - The type of activity, a key of {@link WatchManager.ACTIVITIES}.
+ * @property {string} [label] - The label of a custom activity.
  */
 
 /**
@@ -16,6 +29,99 @@ import SocketManager from "./socket-manager.mjs";
  * @property {Turn[]} turns - Array of turns that make up the watch.
  */
 
+/**
+ * How well an actor sees under the light level of the watch.
+ * @typedef {Object} Vision
+ * @property {string} light - The light level, "bright", "dim" or "dark".
+ * @property {string|null} sense - The sense which lets the actor see, if any.
+ * @property {boolean} impaired - Whether the actor rolls Perception with disadvantage and -5 passive.
+ */
+
+/**
+ * A watch stored in the world, one of the camps or groups keeping watch at the same time.
+ * @typedef {Object} WatchRecord
+ * @property {string} id - The unique identifier of the watch.
+ * @property {string} name - The name of the watch.
+ * @property {string|null} scene - The id of the scene of the camp, if any.
+ * @property {Object[]} turns - The stored turns of the watch.
+ * @property {boolean} watchActive - Whether the watch is started.
+ * @property {number} currentTurn - The index of the current turn.
+ * @property {{stealth: number, label: string}|null} approach - The stealth of something approaching the camp.
+ */
+
+/**
+ * A named watch order saved in the world.
+ * @typedef {Object} Preset
+ * @property {string} id - The unique identifier of the preset.
+ * @property {string} name - The name of the preset.
+ * @property {Object[]} turns - The stored turns, with their members as arrays of UUIDs.
+ * @property {boolean} isDefault - Whether the preset is loaded when a watch starts without turns.
+ */
+
+/**
+ * The edits players are allowed to make on the turns.
+ * @typedef {Object} PlayerPermissions
+ * @property {boolean} add - Add the actors they own to a turn.
+ * @property {boolean} remove - Remove the actors they own from a turn.
+ * @property {boolean} reorder - Change the order of the turns.
+ * @property {boolean} duration - Change the duration of a turn.
+ * @property {boolean} activity - Change the activities of the actors they own.
+ * @property {boolean} approval - Whether their changes wait for the approval of a GM.
+ */
+
+/**
+ * A change of the turns made by a player, waiting for the approval of a GM.
+ * @typedef {Object} PendingChange
+ * @property {string} id - The unique identifier of the change.
+ * @property {string} userId - The id of the user who made the change.
+ * @property {string} watchId - The id of the watch the change was made on.
+ * @property {string} summary - A description of the change.
+ * @property {Object[]} base - The stored turns the change was made on.
+ * @property {Object[]} turns - The stored turns proposed by the change.
+ * @property {string|null} history - "undo" or "redo" if the change comes from the history.
+ */
+
+/**
+ * The evaluation of a member's rest against the rest rules.
+ * @typedef {Object} RestValidation
+ * @property {number} duty - Hours the member spends on duty.
+ * @property {number} sleep - Hours the member sleeps during the watch.
+ * @property {boolean} interrupted - Whether the sleep of the member was interrupted in a turn they were not on.
+ * @property {boolean} valid - Whether the member meets the rest rules.
+ * @property {string[]} reasons - Descriptions of the broken rules.
+ */
+
+/**
+ * An edit of the turns of a watch kept in its history.
+ * @typedef {Object} HistoryEntry
+ * @property {Object[]} turns - The stored turns to restore.
+ * @property {string} userId - The id of the user who made the edit.
+ */
+
+/**
+ * The pending changes of the stored watches, chained so they are stored one after another.
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * The pending changes of the stored history of the watches, chained so they are stored one after another.
+ * @type {Promise<void>}
+ */
+let historyQueue = Promise.resolve();
+
+/**
+ * The pending changes of the player changes awaiting approval, chained so they are stored one after another.
+ * @type {Promise<void>}
+ */
+let pendingQueue = Promise.resolve();
+
+/**
+ * The pending moves of the current turns, chained so every turn that ends is checked once.
+ * @type {Promise<void>}
+ */
+let turnQueue = Promise.resolve();
+
 /**
  * A class that tracks and manages turns with support for resetting and accessing the current watch.
  * @alias WatchManager
@@ -23,16 +129,17 @@ import SocketManager from "./socket-manager.mjs";
 export default class WatchManager {
   constructor() {
     /**
-     * @type {Turn[]}
+     * The state of each watch on this client, keyed by watch id.
+     * @type {Map<string, {turns: Turn[], isActive: boolean, currentTurn: number, rollStatus: Map<string, string>}>}
      */
-    this.turns = [];
+    this.states = new Map();
 
     /**
-     * @type {Watch}
+     * The id of the watch this client shows and manages.
+     * @type {string|null}
      */
-    this.watch = null;
-    this.isActive = false;
-    this._currentTurn = 0;
+    this.watchId = null;
+
     /**
      * @type {SocketManager}
      */
@@ -44,27 +151,28 @@ export default class WatchManager {
   /*  Settings Methods                            */
   /* -------------------------------------------- */
 
-  static async onTurnsChange() {
-    const { watchManager } = game.modules.get("on-watch");
-    if (!watchManager) return;
-    watchManager.turns = await watchManager._initTurns();
-    watchManager.watch = watchManager._calcWatch();
-    watchManager.app.render();
-  }
-
-  static async onWatchChange(watch) {
+  static async onWatchesChange() {
     ui.players.render();
     const { watchManager } = game.modules.get("on-watch");
     if (!watchManager) return;
+    await watchManager._initWatches();
 
-    watchManager.isActive = watch?.watchActive ?? false;
-    watchManager._currentTurn = watch?.currentTurn ?? 0;
-
-    if (!watchManager.isActive && !game.user.isGM) {
+    if (!game.user.isGM && !WatchManager.getVisibleWatches().some((w) => w.watchActive)) {
       watchManager.app.close();
     }
 
     watchManager.app.render();
+    if (watchManager.presetsApp.rendered) watchManager.presetsApp.render();
+  }
+
+  static onPresetsChange() {
+    const { watchManager } = game.modules.get("on-watch");
+    if (watchManager?.presetsApp.rendered) watchManager.presetsApp.render();
+  }
+
+  static onTrackerSettingChange() {
+    const { watchManager } = game.modules.get("on-watch");
+    if (watchManager?.app.rendered) watchManager.app.render();
   }
 
   /* -------------------------------------------- */
@@ -76,30 +184,73 @@ export default class WatchManager {
    * @returns {Promise<void>}
    */
   async _initialize() {
-    this.turns = await this._initTurns();
-    this.watch = this._calcWatch();
-    this.updateTurns(this.turns);
+    if (game.user === game.users.activeGM) await this._migrateWatch();
+    await this._initWatches();
+  }
+
+  /**
+   * Initializes the state of every stored watch, and selects the watch shown by this client.
+   * @returns {Promise<void>}
+   */
+  async _initWatches() {
+    const states = new Map();
+    for (const record of game.settings.get("on-watch", "watches")) {
+      states.set(record.id, {
+        turns: await this._validateTurns(record.turns),
+        isActive: record.watchActive ?? false,
+        currentTurn: record.currentTurn ?? 0,
+        rollStatus: this.states.get(record.id)?.rollStatus ?? new Map(),
+      });
+    }
+    this.states.clear();
+    for (const [id, state] of states) this.states.set(id, state);
+
+    const visible = WatchManager.getVisibleWatches();
+    const selected = this.watchId ?? game.settings.get("on-watch", "selectedWatch");
+    this.watchId = visible.some((w) => w.id === selected) ? selected : visible[0]?.id ?? null;
+  }
 
-    const watchSettings = game.settings.get("on-watch", "watch");
-    this.isActive = watchSettings?.watchActive ?? false;
-    this._currentTurn = watchSettings?.currentTurn ?? 0;
+  /**
+   * Moves the single watch stored by earlier versions into the first watch record,
+   * or creates an empty first watch.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _migrateWatch() {
+    if (game.settings.get("on-watch", "watches").length) return;
+    const watch = game.settings.get("on-watch", "watch") ?? {};
+    const record = {
+      ...watch,
+      id: foundry.utils.randomID(),
+      name: game.i18n.localize("ONWATCH.Watch.DefaultName"),
+      // The single watch took its light from the active scene, the camp scene keeps it doing so
+      scene: game.scenes.active?.id ?? null,
+      turns: game.settings.get("on-watch", "turns") ?? [],
+    };
+    await this._queueWrite((records) => records.push(record));
   }
 
   /**
-   * Initializes the turns from stored settings, ensuring that each turn object is valid and sorted.
+   * Validates stored turn data, ensuring that each turn object is valid and sorted.
+   * @param {any} turns - The stored turns.
    * @returns {Promise<Turn[]>} A promise that resolves to an array of sorted turn objects.
    */
-  async _initTurns() {
-    let turns = game.settings.get("on-watch", "turns");
+  async _validateTurns(turns) {
     if (!Array.isArray(turns)) turns = [];
 
     // Map turns to promises, waiting for _validateMembers for each turn
     const validatedTurns = await Promise.all(
-      turns.map(async (turn, index) => ({
-        duration: typeof turn.duration === "number" ? turn.duration : 1,
-        members: await this._validateMembers(turn.members),
-        sort: index,
-      }))
+      turns.map(async (turn, index) => {
+        const members = await this._validateMembers(turn.members);
+        return {
+          duration: typeof turn.duration === "number" ? turn.duration : 1,
+          members,
+          activities: this._validateActivities(turn.activities, members),
+          sort: index,
+          interrupted: turn.interrupted === true,
+          check: WatchManager.isValidCheck(turn.check) ? turn.check : null,
+        };
+      })
     );
 
     return this._sortTurns(validatedTurns);
@@ -124,16 +275,46 @@ export default class WatchManager {
     return validMembers;
   }
 
+  /**
+   * Validates the stored activities of a turn, keeping those of its members.
+   * @param {any} activities - The stored activities, keyed by UUID.
+   * @param {Set<string>} members - The valid members of the turn.
+   * @returns {Map<string, Activity>}
+   */
+  _validateActivities(activities, members) {
+    const validActivities = new Map();
+    if (!activities || typeof activities !== "object") return validActivities;
+
+    for (const [uuid, activity] of Object.entries(activities)) {
+      if (!members.has(uuid) || !Object.hasOwn(WatchManager.ACTIVITIES, activity?.type)) continue;
+      if (activity.type === "watch") continue;
+      const entry = { type: activity.type };
+      if (activity.type === "custom") entry.label = String(activity.label ?? "");
+      validActivities.set(uuid, entry);
+    }
+    return validActivities;
+  }
+
   /**
    * Validates a UUID string.
    * @param {string} uuid - The UUID to validate.
    * @returns {boolean} True if the UUID is valid, false otherwise.
    */
   _validateUuid(uuid) {
+    return WatchManager.isActorUuid(uuid);
+  }
+
+  /**
+   * Check whether a string is the UUID of an Actor.
+   * @param {string} uuid - The UUID to check.
+   * @returns {boolean}
+   */
+  static isActorUuid(uuid) {
+    if (typeof uuid !== "string") return false;
     const p = foundry.utils.parseUuid(uuid);
 
     return (
-      p.type === "Actor" && foundry.data.validators.isValidId(p.documentId)
+      p?.type === "Actor" && foundry.data.validators.isValidId(p.documentId)
     );
   }
 
@@ -141,7 +322,63 @@ export default class WatchManager {
   /*  Turn Management Methods                     */
   /* -------------------------------------------- */
 
-  _currentTurn;
+  /**
+   * The state of the watch managed by this object.
+   * @type {{turns: Turn[], isActive: boolean, currentTurn: number, rollStatus: Map<string, string>}}
+   * @private
+   */
+  get _state() {
+    if (!this.states.has(this.watchId)) {
+      const state = { turns: [], isActive: false, currentTurn: 0, rollStatus: new Map() };
+      if (!this.watchId) return state;
+      this.states.set(this.watchId, state);
+    }
+    return this.states.get(this.watchId);
+  }
+
+  /**
+   * The turns of the watch.
+   * @type {Turn[]}
+   */
+  get turns() {
+    return this._state.turns;
+  }
+
+  set turns(turns) {
+    this._state.turns = turns;
+  }
+
+  /**
+   * Whether the watch is started.
+   * @type {boolean}
+   */
+  get isActive() {
+    return this._state.isActive;
+  }
+
+  set isActive(isActive) {
+    this._state.isActive = isActive;
+  }
+
+  /**
+   * The status of the watch rolls being gathered, keyed by actor UUID.
+   * @type {Map<string, string>} "pending", "rolled", "timeout" or "cancelled".
+   */
+  get rollStatus() {
+    return this._state.rollStatus;
+  }
+
+  set rollStatus(rollStatus) {
+    this._state.rollStatus = rollStatus;
+  }
+
+  get _currentTurn() {
+    return this._state.currentTurn;
+  }
+
+  set _currentTurn(index) {
+    this._state.currentTurn = index;
+  }
 
   get currentTurn() {
     const lastTurn = Math.max(0, this.turns.length - 1);
@@ -162,46 +399,282 @@ export default class WatchManager {
   /**
    * Set a new current turn on a started watch
    * @param {number} sort - sort of the new current turn
+   * @returns {Promise<void>}
    */
-  updateCurrentTurn(sort) {
+  async updateCurrentTurn(sort) {
     const turnIndex = this.turns.findIndex((turn) => turn.sort === sort);
     if (!this.isActive || turnIndex === -1) return;
+    const previousIndex = this.currentTurn;
 
-    game.settings.set("on-watch", "watch", {
-      watchActive: true,
-      currentTurn: turnIndex,
+    this._currentTurn = turnIndex;
+    await this._updateWatchSettings({ currentTurn: turnIndex });
+
+    if (turnIndex !== previousIndex) {
+      /**
+       * A hook event that fires when the current turn of the watch changes.
+       * @function onWatch.turnChange
+       * @memberof hookEvents
+       * @param {WatchManager} watchManager - The WatchManager of the watch.
+       * @param {number} turnIndex - The index of the new current turn.
+       * @param {number} previousIndex - The index of the previous current turn.
+       */
+      Hooks.callAll("onWatch.turnChange", this, turnIndex, previousIndex);
+    }
+  }
+
+  /**
+   * Moves the watch to the next turn, advancing the world time to the start of the next turn.
+   * If an encounter check is configured, it is performed for the ended turn.
+   * @returns {Promise<void>}
+   */
+  async nextTurn() {
+    const turn = this.turns[this.currentTurn];
+    if (!this.isActive || !turn || this.currentTurn >= this.turns.length - 1) return;
+
+    const next = this.currentTurn + 1;
+    await this._advanceToTurn(next, turn.duration * 3600);
+    await this._moveToTurn(next);
+  }
+
+  /**
+   * Moves the watch back to the previous turn, rewinding the world time to the start of the previous turn.
+   * @returns {Promise<void>}
+   */
+  async previousTurn() {
+    const turn = this.turns[this.currentTurn];
+    if (!this.isActive || !turn || this.currentTurn <= 0) return;
+
+    const previous = this.currentTurn - 1;
+    await this._advanceToTurn(previous, this.turns[previous].duration * -3600);
+    await this._moveToTurn(previous);
+  }
+
+  /**
+   * Moves the current turn to another turn, performing the encounter check of every turn that ends on the way.
+   * The turn buttons and the world time both move the turns, often at once, so the moves are queued
+   * and each one starts from where the previous one left the watch.
+   * @param {number} index - The index of the new current turn, or the number of turns once the last turn has ended.
+   * @returns {Promise<boolean>} Whether this move finished the watch.
+   * @private
+   */
+  async _moveToTurn(index) {
+    const move = turnQueue.then(async () => {
+      if (!this.isActive || !this.turns.length) return false;
+      const last = this.turns.length - 1;
+      const elapsed = index > last;
+      const finished = !!this.record?.finished;
+      const target = Math.min(index, last);
+      if (target === this.currentTurn && elapsed === finished) return false;
+
+      // The last turn of a finished watch was already checked when it ended
+      const ended = this.turns.slice(this.currentTurn, finished ? target : index);
+      await this.updateCurrentTurn(target);
+      if (elapsed !== finished) await this._updateWatchSettings({ finished: elapsed });
+      for (const turn of ended) await this.rollEncounter(turn);
+      return elapsed && !finished;
     });
+    turnQueue = move.catch(() => {});
+    return move;
+  }
 
-    this._currentTurn = turnIndex;
+  /**
+   * Advances the world time to the start of a turn.
+   * @param {number} index - The index of the turn.
+   * @param {number} fallback - Seconds to advance if the watch has no recorded start time.
+   * @returns {Promise<number>} The new world time.
+   * @private
+   */
+  async _advanceToTurn(index, fallback) {
+    const start = this.getTurnStart(index);
+    return game.time.advance(start === null ? fallback : start - game.time.worldTime);
+  }
+
+  /* -------------------------------------------- */
+  /*  World Time Methods                          */
+  /* -------------------------------------------- */
+
+  /**
+   * The world time at which the active watch started, if recorded.
+   * @type {number|null}
+   */
+  get startTime() {
+    const startTime = this.record?.startTime;
+    return typeof startTime === "number" ? startTime : null;
+  }
+
+  /**
+   * Get the world time at which a turn starts.
+   * @param {number} index - The index of the turn.
+   * @returns {number|null} Null if the watch has no recorded start time.
+   */
+  getTurnStart(index) {
+    if (this.startTime === null) return null;
+    const hours = this.turns
+      .slice(0, index)
+      .reduce((sum, turn) => sum + turn.duration, 0);
+    return this.startTime + hours * 3600;
+  }
+
+  /**
+   * Get the index of the turn which covers a world time.
+   * @param {number} worldTime - The world time in seconds.
+   * @returns {number|null} The index of the turn, the number of turns once the watch has elapsed,
+   *                        or null if the watch has no recorded start time.
+   */
+  getTurnAt(worldTime) {
+    if (this.startTime === null) return null;
+    let end = this.startTime;
+    for (const [index, turn] of this.turns.entries()) {
+      end += turn.duration * 3600;
+      if (worldTime < end) return index;
+    }
+    return this.turns.length;
+  }
+
+  /**
+   * Get the progress of the world time through a turn.
+   * @param {number} index - The index of the turn.
+   * @returns {{progress: number, remaining: number}|null} The fraction of the turn elapsed and the seconds left,
+   *                                                      or null if the watch has no recorded start time.
+   */
+  getTurnProgress(index) {
+    const start = this.getTurnStart(index);
+    const turn = this.turns[index];
+    if (start === null || !turn) return null;
+
+    const duration = turn.duration * 3600;
+    const elapsed = Math.clamp(game.time.worldTime - start, 0, duration);
+    return { progress: elapsed / duration, remaining: duration - elapsed };
+  }
+
+  /**
+   * Sets the world time at which the active watch starts.
+   * @param {number} startTime - The world time in seconds.
+   * @returns {Promise<void>}
+   */
+  async setStartTime(startTime) {
+    if (!this.isActive || typeof startTime !== "number") return;
+    await this._updateWatchSettings({ startTime });
+    await this.syncWorldTime(game.time.worldTime);
+  }
+
+  /**
+   * Opens a dialog to set the clock time at which the active watch starts,
+   * on the current day of the world time, or to start it at the current world time.
+   * @returns {Promise<void>}
+   */
+  async configureStartTime() {
+    const { DialogV2 } = foundry.applications.api;
+    const { worldTime } = game.time;
+    const clock = WatchManager.formatClock(this.startTime ?? worldTime);
+
+    const startTime = await DialogV2.wait({
+      rejectClose: false,
+      window: { title: "ONWATCH.StartTime.Title", icon: "fa-solid fa-clock" },
+      content: `
+        <div class="form-group">
+          <label>${game.i18n.localize("ONWATCH.StartTime.Label")}</label>
+          <div class="form-fields">
+            <input type="time" name="time" value="${clock}" required>
+          </div>
+        </div>`,
+      buttons: [
+        {
+          label: "ONWATCH.StartTime.Set",
+          icon: "fa-solid fa-clock",
+          action: "set",
+          default: true,
+          callback: (_, button) => {
+            const [hours, minutes] = button.form.elements.time.value.split(":").map(Number);
+            const dayStart = worldTime - (((worldTime % 86400) + 86400) % 86400);
+            return dayStart + hours * 3600 + minutes * 60;
+          },
+        },
+        {
+          label: "ONWATCH.StartTime.Now",
+          icon: "fa-solid fa-hourglass-start",
+          action: "now",
+          callback: () => worldTime,
+        },
+      ],
+    });
+    if (typeof startTime === "number" && !Number.isNaN(startTime)) await this.setStartTime(startTime);
+  }
+
+  /**
+   * Updates the current turn to the turn which covers the world time, performing the encounter check
+   * of every turn passed, and flags or ends the watch once its duration has elapsed.
+   * @param {number} worldTime - The world time in seconds.
+   * @returns {Promise<void>}
+   */
+  async syncWorldTime(worldTime) {
+    if (!this.isActive || !this.turns.length || game.user !== game.users.activeGM) return;
+    if (!game.settings.get("on-watch", "autoAdvance")) return;
+
+    const index = this.getTurnAt(worldTime);
+    if (index === null) return;
+
+    const finished = await this._moveToTurn(index);
+    if (finished && game.settings.get("on-watch", "watchElapsed") === "end") {
+      const options = await this.createEndWatchDialog();
+      if (options) await this.endWatch(options);
+    }
   }
 
   /**
    * Updates the stored watches with a new array of turns.
    * @param {Turn[]} watches - Array of updated turn objects.
    * @param {boolean} [render=true] - render the App?
+   * @param {object} [options]
+   * @param {string|null} [options.history=null] - "undo" or "redo" if the turns come from the history.
    */
-  async updateTurns(turns, render = true) {
+  async updateTurns(turns, render = true, { history = null } = {}) {
     turns = this._sortTurns(turns);
-    const setting = turns.map((t) => ({
+    const setting = this._serializeTurns(turns);
+    if (game.user.isGM) await this._setStoredTurns(setting, { history });
+    else this.socket.emitUpdateTurns(setting, this.watchId, history);
+
+    if (render) await this.app?.render();
+  }
+
+  /**
+   * Converts turns into their stored form, with the members as arrays of UUIDs.
+   * @param {Turn[]} turns
+   * @returns {Object[]}
+   */
+  _serializeTurns(turns) {
+    return turns.map((t) => ({
       ...t,
       members: Array.from(t.members),
+      activities: Object.fromEntries(t.activities ?? []),
     }));
-    if (game.user.isGM) game.settings.set("on-watch", "turns", setting);
-    else this.socket.emitUpdateTurns(setting);
+  }
 
-    if (render) await this.app?.render();
+  /**
+   * Builds an empty turn.
+   * @param {number} sort - The sort number of the turn.
+   * @param {object} [options]
+   * @param {number} [options.duration=1] - The duration of the turn in hours.
+   * @param {Iterable<string>} [options.members=[]] - The UUIDs of the members of the turn.
+   * @returns {Turn}
+   * @private
+   */
+  _newTurn(sort, { duration = 1, members = [] } = {}) {
+    return {
+      duration,
+      members: new Set(members),
+      activities: new Map(),
+      sort,
+      interrupted: false,
+      check: null,
+    };
   }
 
   /**
    * Creates and adds a new turn with a unique `sort` value.
    */
   async createTurn() {
-    const newTurn = {
-      duration: 1,
-      members: new Set(),
-      sort: this.turns.length,
-    };
-    this.turns.push(newTurn);
+    this.turns.push(this._newTurn(this.turns.length));
     await this.updateTurns(this.turns);
   }
 
@@ -246,6 +719,22 @@ export default class WatchManager {
     }
   }
 
+  /**
+   * Moves a turn to the position of another turn, shifting the turns in between.
+   * @param {number} sort - The `sort` value of the turn to move.
+   * @param {number} targetSort - The `sort` value of the turn whose position it takes.
+   */
+  async moveTurn(sort, targetSort) {
+    const index = this.turns.findIndex((turn) => turn.sort === sort);
+    const target = this.turns.findIndex((turn) => turn.sort === targetSort);
+    if (index === -1 || target === -1 || index === target) return;
+
+    const [turn] = this.turns.splice(index, 1);
+    this.turns.splice(target, 0, turn);
+    this.turns.forEach((t, i) => (t.sort = i));
+    await this.updateTurns(this.turns);
+  }
+
   /**
    * Changes the duration of a specific turn.
    * @param {number} sort - The `sort` value of the turn to modify.
@@ -260,82 +749,2176 @@ export default class WatchManager {
     }
   }
   /**
-   * Adds a new member to a turn.
-   * @param {number} sort - The sort number of the turn.
-   * @param {string} uuid - The UUID to add.
+   * Hours of uninterrupted rest needed by the actors marked for it in the schedule generator.
+   * @type {number}
    */
-  async addMember(sort, uuid) {
-    const turn = this.turns.find((t) => t.sort === sort);
-    if (turn && typeof uuid === "string" && this._validateUuid(uuid)) {
-      turn.members.add(uuid);
-      await this.updateTurns(this.turns);
-    }
-  }
+  static UNINTERRUPTED_REST = 8;
+
   /**
-   * Removes a member UUID from a turn's member set.
-   * @param {number} sort - The sort number of the turn.
-   * @param {string} uuid - The UUID to remove.
+   * Replaces the turn list with a schedule built from a group of actors.
+   * Hours are spread evenly between the shifts, and the watchers are assigned in order.
+   * @param {object} options
+   * @param {number} options.duration - Total hours of the rest.
+   * @param {string[]} options.actors - UUIDs of the participating actors.
+   * @param {string[]} [options.exempt=[]] - UUIDs of the actors that need {@link WatchManager.UNINTERRUPTED_REST}
+   *                                         hours of uninterrupted rest, and only serve a shift that leaves them.
+   * @param {number} [options.shifts] - Number of shifts, defaults to one per watch group.
+   * @param {boolean} [options.pairs=false] - Watchers serve in pairs.
+   * @param {boolean} [options.noRepeat=false] - Nobody serves more than one shift.
+   * @param {boolean} [options.darkvision=false] - Watchers with darkvision get the darkest hours.
    */
-  async removeMember(sort, uuid) {
-    const turn = this.turns.find((t) => t.sort === sort);
-    if (turn && turn.members.has(uuid)) {
-      turn.members.delete(uuid);
-      await this.updateTurns(this.turns);
-    }
-  }
+  async generateSchedule({
+    duration,
+    actors,
+    exempt = [],
+    shifts,
+    pairs = false,
+    noRepeat = false,
+    darkvision = false,
+  }) {
+    const watchers = (
+      await Promise.all(
+        actors
+          .filter((uuid) => this._validateUuid(uuid))
+          .map(async (uuid) => await fromUuid(uuid))
+      )
+    ).filter((actor) => actor !== null);
+    duration = Math.max(1, Math.round(duration));
+    if (!watchers.length) return;
 
-  /* -------------------------------------------- */
-  /*  Watch Control Methods                       */
-  /* -------------------------------------------- */
+    const groups = this._groupWatchers(watchers, pairs ? 2 : 1);
+    shifts = Math.min(shifts || groups.length, duration);
+    if (noRepeat) shifts = Math.min(shifts, groups.length);
 
-  /**
-   * Initializes the current watch based on turns.
-   * @returns {Watch} The current watch object.
-   */
-  _calcWatch() {
-    const totalDuration = this.turns.reduce(
-      (sum, turn) => sum + turn.duration,
-      0
+    let assigned = Array.from({ length: shifts }, (_, i) => groups[i % groups.length]);
+    let order = Array.from({ length: shifts }, (_, i) => i);
+    if (darkvision) {
+      // The darkest hours are the ones in the middle of the rest
+      const middle = (shifts - 1) / 2;
+      order.sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle));
+      assigned = assigned
+        .map((group) => ({ group, dark: group.some((a) => this._hasDarkvision(a)) }))
+        .sort((a, b) => b.dark - a.dark)
+        .map(({ group }) => group);
+    }
+
+    const base = Math.floor(duration / shifts);
+    const remainder = duration % shifts;
+    const turns = Array.from({ length: shifts }, (_, sort) =>
+      this._newTurn(sort, { duration: base + (sort < remainder ? 1 : 0) })
     );
-    return { duration: totalDuration, turns: this.turns };
+    order.forEach((sort, i) => {
+      for (const actor of assigned[i]) turns[sort].members.add(actor.uuid);
+    });
+    this._keepUninterruptedRest(turns, watchers.filter((a) => exempt.includes(a.uuid)));
+
+    this.turns = turns;
+    await this.updateTurns(this.turns);
   }
 
   /**
-   * Start a new Watch
-   * @returns
+   * Moves the actors that need uninterrupted rest out of the shifts which break it, into a shift
+   * at either end of the rest that still leaves them {@link WatchManager.UNINTERRUPTED_REST} hours.
+   * A shift they leave empty takes a watcher of the shift they join. Actors that cannot be moved
+   * without leaving a shift unwatched keep their shifts, and the GM is warned about them.
+   * @param {Turn[]} turns - The generated turns, in order.
+   * @param {Actor[]} actors - The actors that need uninterrupted rest.
+   * @private
    */
-  startWatch() {
-    if (this.isActive) return;
-
-    this.isActive = true;
-    this._currentTurn = 0;
+  _keepUninterruptedRest(turns, actors) {
+    if (!actors.length) return;
+    const needed = WatchManager.UNINTERRUPTED_REST;
+    const duration = turns.reduce((sum, turn) => sum + turn.duration, 0);
+    if (duration < needed) {
+      ui.notifications.warn(game.i18n.format("ONWATCH.Schedule.TooShort", {
+        hours: WatchManager.formatHours(duration),
+        needed: WatchManager.formatHours(needed),
+        names: actors.map((a) => a.name).join(", "),
+      }));
+      return;
+    }
 
-    game.settings.set("on-watch", "watch", {
-      watchActive: true,
-      currentTurn: 0,
+    const exempt = new Set(actors.map((a) => a.uuid));
+    let start = 0;
+    const valid = turns.filter((turn) => {
+      const before = start;
+      start += turn.duration;
+      return Math.max(before, duration - start) >= needed;
     });
 
-    this.app?.render();
-    this.socket.emitRenderTracker(true);
+    const interrupted = [];
+    for (const actor of actors) {
+      const { uuid } = actor;
+      if (this._getLongestRest(turns, uuid) >= needed) continue;
+      const target = [...valid].sort((a, b) => a.members.size - b.members.size)[0];
+      const left = turns.filter((turn) => turn !== target && turn.members.size === 1 && turn.members.has(uuid));
+      const swaps = Array.from(target?.members ?? []).filter((m) => !exempt.has(m));
+      if (!target || left.length > swaps.length) {
+        interrupted.push(actor);
+        continue;
+      }
+
+      for (const turn of turns) turn.members.delete(uuid);
+      for (const turn of left) {
+        const swap = swaps.pop();
+        target.members.delete(swap);
+        turn.members.add(swap);
+      }
+      target.members.add(uuid);
+    }
+
+    if (!interrupted.length) return;
+    ui.notifications.warn(game.i18n.format("ONWATCH.Schedule.Interrupted", {
+      needed: WatchManager.formatHours(needed),
+      names: interrupted.map((a) => a.name).join(", "),
+    }));
   }
 
   /**
-   * End the Watch
-   * @returns
+   * Get the longest run of hours an actor spends off duty.
+   * @param {Turn[]} turns - The turns, in order.
+   * @param {string} uuid - The UUID of the actor.
+   * @returns {number}
+   * @private
    */
-  endWatch() {
-    if (!this.isActive) return;
-    this.isActive = false;
-    this._currentTurn = undefined;
-    game.settings.set("on-watch", "watch", {
-      watchActive: false,
-      currentTurn: undefined,
-    });
-
-    this.updateTurns([]);
+  _getLongestRest(turns, uuid) {
+    let longest = 0;
+    let current = 0;
+    for (const turn of turns) {
+      current = turn.members.has(uuid) ? 0 : current + turn.duration;
+      longest = Math.max(longest, current);
+    }
+    return longest;
   }
 
-  /* -------------------------------------------- */
+  /**
+   * Splits the watchers in groups of a given size, merging a smaller remainder into the last group.
+   * @param {Actor[]} watchers
+   * @param {number} size
+   * @returns {Actor[][]}
+   * @private
+   */
+  _groupWatchers(watchers, size) {
+    const groups = [];
+    for (let i = 0; i < watchers.length; i += size) {
+      groups.push(watchers.slice(i, i + size));
+    }
+    if (groups.length > 1 && groups.at(-1).length < size) {
+      groups.at(-2).push(...groups.pop());
+    }
+    return groups;
+  }
+
+  /**
+   * Check whether an actor has darkvision.
+   * @param {Actor} actor
+   * @returns {boolean}
+   * @private
+   */
+  _hasDarkvision(actor) {
+    return (WatchManager.adapter.getSenses(actor).darkvision ?? 0) > 0;
+  }
+
+  /**
+   * Opens a dialog to configure the generation of a watch schedule.
+   * @returns {Promise<object|null>} The options for {@link WatchManager#generateSchedule}, or null if cancelled.
+   */
+  async createScheduleDialog() {
+    const { DialogV2 } = foundry.applications.api;
+    const { BooleanField, NumberField, SetField, StringField } = foundry.data.fields;
+
+    const choices = game.actors.reduce((acc, { name, uuid }) => {
+      acc[uuid] = name;
+      return acc;
+    }, {});
+    const members = Array.from(this.members);
+    const actors = members.length
+      ? members
+      : game.actors.filter((a) => a.hasPlayerOwner).map((a) => a.uuid);
+
+    const content = [
+      new NumberField({
+        label: "ONWATCH.Schedule.Duration",
+        hint: "ONWATCH.Schedule.DurationHint",
+        integer: true,
+        min: 1,
+      }).toFormGroup({ localize: true }, { name: "duration", value: this.watch?.duration || 8 }),
+      new SetField(new StringField({ choices }), { label: "ONWATCH.Schedule.Watchers" })
+        .toFormGroup({ localize: true }, { name: "actors", value: actors }),
+      new SetField(new StringField({ choices }), {
+        label: "ONWATCH.Schedule.Exempt",
+        hint: "ONWATCH.Schedule.ExemptHint",
+      }).toFormGroup({ localize: true }, { name: "exempt", value: [] }),
+      new NumberField({ label: "ONWATCH.Schedule.Shifts", hint: "ONWATCH.Schedule.ShiftsHint", integer: true, min: 1 })
+        .toFormGroup({ localize: true }, { name: "shifts" }),
+      new BooleanField({ label: "ONWATCH.Schedule.Pairs" }).toFormGroup({ localize: true }, { name: "pairs" }),
+      new BooleanField({ label: "ONWATCH.Schedule.NoRepeat" }).toFormGroup({ localize: true }, { name: "noRepeat" }),
+      new BooleanField({ label: "ONWATCH.Schedule.Darkvision" })
+        .toFormGroup({ localize: true }, { name: "darkvision" }),
+    ]
+      .map((group) => group.outerHTML)
+      .join("");
+
+    return DialogV2.prompt({
+      rejectClose: false,
+      window: { title: "ONWATCH.Schedule.Title", icon: "fa-solid fa-wand-magic-sparkles" },
+      content: `<p class="hint">${game.i18n.localize("ONWATCH.Schedule.Replace")}</p>${content}`,
+      position: { width: 420 },
+      ok: {
+        label: "ONWATCH.Schedule.Generate",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+  }
+
+  /**
+   * Toggles whether the rest of the members sleeping during a turn was interrupted.
+   * @param {number} sort - The `sort` value of the turn to modify.
+   */
+  async toggleInterrupted(sort) {
+    const turn = this.turns.find((t) => t.sort === sort);
+    if (turn) {
+      turn.interrupted = !turn.interrupted;
+      await this.updateTurns(this.turns);
+      if (turn.interrupted) await this.logEvent("interruption", turn, game.i18n.localize("ONWATCH.Event.Interrupted"));
+    }
+  }
+
+  /**
+   * Adds a new member to a turn.
+   * @param {number} sort - The sort number of the turn.
+   * @param {string} uuid - The UUID to add.
+   */
+  async addMember(sort, uuid) {
+    const turn = this.turns.find((t) => t.sort === sort);
+    if (turn && typeof uuid === "string" && this._validateUuid(uuid)) {
+      turn.members.add(uuid);
+      await this.updateTurns(this.turns);
+    }
+  }
+
+  /**
+   * Moves a member to another turn with its activity, or copies it there.
+   * @param {number} sort - The sort number of the turn of the member.
+   * @param {number} targetSort - The sort number of the turn to move the member to.
+   * @param {string} uuid - The UUID of the member.
+   * @param {object} [options]
+   * @param {boolean} [options.copy=false] - Keep the member in its turn.
+   */
+  async moveMember(sort, targetSort, uuid, { copy = false } = {}) {
+    const turn = this.turns.find((t) => t.sort === sort);
+    const target = this.turns.find((t) => t.sort === targetSort);
+    if (!turn?.members.has(uuid) || !target || turn === target) return;
+
+    target.members.add(uuid);
+    const activity = turn.activities?.get(uuid);
+    if (activity) (target.activities ??= new Map()).set(uuid, { ...activity });
+    if (!copy) {
+      turn.members.delete(uuid);
+      turn.activities?.delete(uuid);
+    }
+    await this.updateTurns(this.turns);
+  }
+
+  /**
+   * Adds several members to a turn at once.
+   * @param {number} sort - The sort number of the turn.
+   * @param {string[]} uuids - The UUIDs of the actors.
+   */
+  async addMembers(sort, uuids) {
+    const turn = this.turns.find((t) => t.sort === sort);
+    const valid = uuids.filter((uuid) => this._validateUuid(uuid));
+    if (!turn || !valid.length) return;
+    for (const uuid of valid) turn.members.add(uuid);
+    await this.updateTurns(this.turns);
+  }
+
+  /**
+   * Creates a new turn for each of several actors.
+   * @param {string[]} uuids - The UUIDs of the actors.
+   */
+  async createMemberTurns(uuids) {
+    const valid = uuids.filter((uuid) => this._validateUuid(uuid));
+    if (!valid.length) return;
+    for (const uuid of valid) this.turns.push(this._newTurn(this.turns.length, { members: [uuid] }));
+    await this.updateTurns(this.turns);
+  }
+
+  /**
+   * Removes a member UUID from a turn's member set.
+   * @param {number} sort - The sort number of the turn.
+   * @param {string} uuid - The UUID to remove.
+   */
+  async removeMember(sort, uuid) {
+    const turn = this.turns.find((t) => t.sort === sort);
+    if (turn && turn.members.has(uuid)) {
+      turn.members.delete(uuid);
+      turn.activities?.delete(uuid);
+      await this.updateTurns(this.turns);
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Activity Methods                            */
+  /* -------------------------------------------- */
+
+  /**
+   * The activities a member can do during a turn, with the localization keys of their labels.
+   * Only members keeping watch roll the watch check and count for its advantage.
+   * @type {Record<string, {label: string, icon: string}>}
+   */
+  static ACTIVITIES = Object.freeze({
+    watch: { label: "ONWATCH.Activity.Watch", icon: "fa-solid fa-binoculars" },
+    fire: { label: "ONWATCH.Activity.Fire", icon: "fa-solid fa-fire" },
+    craft: { label: "ONWATCH.Activity.Craft", icon: "fa-solid fa-hammer" },
+    attune: { label: "ONWATCH.Activity.Attune", icon: "fa-solid fa-gem" },
+    study: { label: "ONWATCH.Activity.Study", icon: "fa-solid fa-book-open" },
+    custom: { label: "ONWATCH.Activity.Custom", icon: "fa-solid fa-star" },
+  });
+
+  /**
+   * Get the activity of a member during a turn.
+   * @param {Turn} turn
+   * @param {string} uuid - The UUID of the member.
+   * @returns {Activity}
+   */
+  getActivity(turn, uuid) {
+    return turn.activities?.get(uuid) ?? { type: "watch" };
+  }
+
+  /**
+   * Get the label of an activity.
+   * @param {Activity} activity
+   * @returns {string}
+   */
+  static getActivityLabel({ type, label }) {
+    if (type === "custom" && label) return label;
+    const key = WatchManager.ACTIVITIES[type]?.label;
+    return key ? game.i18n.localize(key) : type;
+  }
+
+  /**
+   * Get the members of a turn who are keeping watch.
+   * @param {Turn} turn
+   * @returns {string[]} The UUIDs of the watchers.
+   */
+  getWatchers(turn) {
+    if (!turn) return [];
+    return Array.from(turn.members).filter(
+      (uuid) => this.getActivity(turn, uuid).type === "watch"
+    );
+  }
+
+  /**
+   * Sets the activity of a member during a turn.
+   * @param {number} sort - The sort number of the turn.
+   * @param {string} uuid - The UUID of the member.
+   * @param {Activity} activity - The new activity.
+   */
+  async setActivity(sort, uuid, { type, label } = {}) {
+    const turn = this.turns.find((t) => t.sort === sort);
+    if (!turn?.members.has(uuid) || !Object.hasOwn(WatchManager.ACTIVITIES, type)) return;
+
+    turn.activities ??= new Map();
+    if (type === "watch") turn.activities.delete(uuid);
+    else turn.activities.set(uuid, type === "custom" ? { type, label: label ?? "" } : { type });
+    await this.updateTurns(this.turns);
+  }
+
+  /**
+   * Opens a dialog to choose the activity of a member during a turn.
+   * @param {number} sort - The sort number of the turn.
+   * @param {string} uuid - The UUID of the member.
+   * @returns {Promise<void>}
+   */
+  async configureActivity(sort, uuid) {
+    const { DialogV2 } = foundry.applications.api;
+    const { StringField } = foundry.data.fields;
+    const turn = this.turns.find((t) => t.sort === sort);
+    if (!turn?.members.has(uuid)) return;
+    const activity = this.getActivity(turn, uuid);
+    const actor = await fromUuid(uuid);
+
+    const choices = Object.fromEntries(
+      Object.keys(WatchManager.ACTIVITIES).map((type) => [type, WatchManager.getActivityLabel({ type })])
+    );
+    const content = [
+      new StringField({ label: "ONWATCH.Activity.Label", choices, required: true })
+        .toFormGroup({ localize: true }, { name: "type", value: activity.type }),
+      new StringField({ label: "ONWATCH.Activity.CustomLabel", hint: "ONWATCH.Activity.CustomLabelHint" })
+        .toFormGroup({ localize: true }, { name: "label", value: activity.label ?? "" }),
+    ]
+      .map((group) => group.outerHTML)
+      .join("");
+
+    const data = await DialogV2.prompt({
+      rejectClose: false,
+      window: {
+        title: game.i18n.format("ONWATCH.Activity.Title", {
+          name: actor?.name ?? game.i18n.localize("ONWATCH.Member"),
+        }),
+        icon: "fa-solid fa-fire",
+      },
+      content,
+      ok: {
+        label: "ONWATCH.Save",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+    if (data) await this.setActivity(sort, uuid, data);
+  }
+
+  /* -------------------------------------------- */
+  /*  Player Permission Methods                   */
+  /* -------------------------------------------- */
+
+  /**
+   * The edits players are allowed to make on the turns. GMs can make every edit.
+   * @type {PlayerPermissions}
+   */
+  get permissions() {
+    const isGM = game.user.isGM;
+    return {
+      add: isGM || game.settings.get("on-watch", "playerAdd"),
+      remove: isGM || game.settings.get("on-watch", "playerRemove"),
+      reorder: isGM || game.settings.get("on-watch", "playerReorder"),
+      duration: isGM || game.settings.get("on-watch", "playerDuration"),
+      activity: isGM || game.settings.get("on-watch", "playerActivity"),
+      approval: !isGM && game.settings.get("on-watch", "playerApproval"),
+    };
+  }
+
+  /**
+   * The changes made by players that wait for the approval of a GM.
+   * @type {PendingChange[]}
+   */
+  get pendingChanges() {
+    const changes = game.settings.get("on-watch", "pendingChanges");
+    return Array.isArray(changes) ? changes : [];
+  }
+
+  /**
+   * Compares stored turns proposed by a player with the current turns.
+   * @param {Object[]} turns - The proposed stored turns.
+   * @returns {{resized: boolean, reordered: boolean, other: boolean,
+   *           durations: {index: number, duration: number}[],
+   *           added: {index: number, uuid: string}[],
+   *           removed: {index: number, uuid: string}[],
+   *           activities: {index: number, uuid: string}[]}}
+   * @private
+   */
+  _diffTurns(turns) {
+    const current = this._serializeTurns(this.turns);
+    const diff = {
+      resized: current.length !== turns.length,
+      reordered: false,
+      other: false,
+      durations: [],
+      added: [],
+      removed: [],
+      activities: [],
+    };
+    if (diff.resized) return diff;
+
+    const signature = (t) => {
+      const activities = Object.entries(t.activities ?? {}).sort(([a], [b]) => a.localeCompare(b));
+      const members = Array.from(t.members).sort().join(",");
+      return `${t.duration}|${!!t.interrupted}|${t.check ?? ""}|${members}|${JSON.stringify(activities)}`;
+    };
+    const before = current.map(signature);
+    const after = turns.map(signature);
+    const sameTurns = [...before].sort().join(";") === [...after].sort().join(";");
+    if (sameTurns) {
+      diff.reordered = before.some((s, i) => s !== after[i]);
+      return diff;
+    }
+
+    turns.forEach((turn, index) => {
+      const old = current[index];
+      if (turn.duration !== old.duration) diff.durations.push({ index, duration: turn.duration });
+      if (!!turn.interrupted !== !!old.interrupted) diff.other = true;
+      if ((turn.check ?? null) !== (old.check ?? null)) diff.other = true;
+
+      const oldMembers = new Set(old.members);
+      const newMembers = new Set(turn.members);
+      for (const uuid of newMembers) {
+        if (!oldMembers.has(uuid)) diff.added.push({ index, uuid });
+      }
+      for (const uuid of oldMembers) {
+        if (!newMembers.has(uuid)) diff.removed.push({ index, uuid });
+      }
+      for (const uuid of newMembers) {
+        if (!oldMembers.has(uuid)) continue;
+        const before = JSON.stringify(old.activities?.[uuid] ?? null);
+        const after = JSON.stringify(turn.activities?.[uuid] ?? null);
+        if (before !== after) diff.activities.push({ index, uuid });
+      }
+    });
+    return diff;
+  }
+
+  /**
+   * Checks a change of the turns made by a player against the player permissions.
+   * @param {object} diff - The change, as returned by {@link WatchManager#_diffTurns}.
+   * @param {User} user - The player who made the change.
+   * @returns {Promise<string|null>} The localization key of the reason the change is not allowed,
+   *                                 or null if it is allowed.
+   * @private
+   */
+  async _checkPlayerChange(diff, user) {
+    const get = (key) => game.settings.get("on-watch", key);
+    const { OWNER } = foundry.CONST.DOCUMENT_OWNERSHIP_LEVELS;
+    const owns = async ({ uuid }) => (await fromUuid(uuid))?.getUserLevel(user) === OWNER;
+
+    if (!WatchManager.getVisibleWatches(user).some((w) => w.id === this.watchId)) {
+      return "ONWATCH.Player.NotVisible";
+    }
+    if (diff.resized || diff.other) return "ONWATCH.Player.GMOnly";
+    if (diff.reordered && !get("playerReorder")) return "ONWATCH.Player.NoReorder";
+    if (diff.durations.length && !get("playerDuration")) return "ONWATCH.Player.NoDuration";
+    if (diff.added.length) {
+      if (!get("playerAdd")) return "ONWATCH.Player.NoAdd";
+      const allowed = await Promise.all(diff.added.map(owns));
+      if (allowed.includes(false)) return "ONWATCH.Player.AddOwned";
+    }
+    if (diff.removed.length) {
+      if (!get("playerRemove")) return "ONWATCH.Player.NoRemove";
+      const allowed = await Promise.all(diff.removed.map(owns));
+      if (allowed.includes(false)) return "ONWATCH.Player.RemoveOwned";
+    }
+    if (diff.activities.length) {
+      if (!get("playerActivity")) return "ONWATCH.Player.NoActivity";
+      const allowed = await Promise.all(diff.activities.map(owns));
+      if (allowed.includes(false)) return "ONWATCH.Player.ActivityOwned";
+    }
+    return null;
+  }
+
+  /**
+   * Describes a change of the turns made by a player.
+   * @param {object} diff - The change, as returned by {@link WatchManager#_diffTurns}.
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _describeChange(diff) {
+    const name = async (uuid) => (await fromUuid(uuid))?.name ?? game.i18n.localize("ONWATCH.Unknown");
+    const parts = [];
+    if (diff.reordered) parts.push(game.i18n.localize("ONWATCH.Change.Reorder"));
+    for (const { index, duration } of diff.durations) {
+      const hours = WatchManager.formatHours(duration);
+      parts.push(game.i18n.format("ONWATCH.Change.Duration", { turn: index + 1, hours }));
+    }
+    for (const { index, uuid } of diff.added) {
+      parts.push(game.i18n.format("ONWATCH.Change.Add", { name: await name(uuid), turn: index + 1 }));
+    }
+    for (const { index, uuid } of diff.removed) {
+      parts.push(game.i18n.format("ONWATCH.Change.Remove", { name: await name(uuid), turn: index + 1 }));
+    }
+    for (const { index, uuid } of diff.activities) {
+      parts.push(game.i18n.format("ONWATCH.Change.Activity", { name: await name(uuid), turn: index + 1 }));
+    }
+    return parts.join(", ") || game.i18n.localize("ONWATCH.Change.None");
+  }
+
+  /**
+   * Handles stored turns sent by a player, applying them, queueing them for approval, or rejecting them.
+   * @param {Object[]} turns - The proposed stored turns.
+   * @param {User} user - The player who sent them.
+   * @param {object} [options]
+   * @param {string|null} [options.history=null] - "undo" or "redo" if the turns come from the history.
+   * @returns {Promise<void>}
+   */
+  async receivePlayerChange(turns, user, { history = null } = {}) {
+    if (!game.user.isGM || !user || !this.record) return;
+    if (user.isGM) return this._setStoredTurns(turns, { history, userId: user.id });
+
+    if (history && !this._canMoveHistory(history, user)) {
+      return this.socket.emitNotify(user.id, "ONWATCH.Player.NotOwnEdit", { reset: true });
+    }
+    const diff = this._diffTurns(turns);
+    const error = await this._checkPlayerChange(diff, user);
+    if (error) return this.socket.emitNotify(user.id, error, { reset: true });
+
+    if (!game.settings.get("on-watch", "playerApproval")) {
+      return this._setStoredTurns(turns, { history, userId: user.id });
+    }
+
+    const change = {
+      id: foundry.utils.randomID(),
+      userId: user.id,
+      watchId: this.watchId,
+      summary: await this._describeChange(diff),
+      base: this._serializeTurns(this.turns),
+      turns,
+      history,
+    };
+    await this._queuePendingWrite((changes) => changes.push(change));
+    this.socket.emitNotify(user.id, "ONWATCH.Player.Pending", { reset: true, type: "info" });
+  }
+
+  /**
+   * Approves a pending change, applying it if the turns did not change since it was made.
+   * @param {string} id - The id of the pending change.
+   * @returns {Promise<void>}
+   */
+  async approveChange(id) {
+    const change = await this._removePendingChange(id);
+    if (!change) return;
+
+    const watch = this.forWatch(change.watchId);
+    const current = watch.record ? watch._serializeTurns(watch.turns) : null;
+    if (JSON.stringify(current) !== JSON.stringify(change.base)) {
+      ui.notifications.warn("ONWATCH.Player.Outdated", { localize: true });
+      return this.socket.emitNotify(change.userId, "ONWATCH.Player.Discarded");
+    }
+    await watch._setStoredTurns(change.turns, { history: change.history ?? null, userId: change.userId });
+  }
+
+  /**
+   * Rejects a pending change.
+   * @param {string} id - The id of the pending change.
+   * @returns {Promise<void>}
+   */
+  async rejectChange(id) {
+    const change = await this._removePendingChange(id);
+    if (!change) return;
+    this.socket.emitNotify(change.userId, "ONWATCH.Player.Rejected", { data: { summary: change.summary } });
+  }
+
+  /**
+   * Removes a change from the pending queue.
+   * @param {string} id - The id of the pending change.
+   * @returns {Promise<PendingChange|null>} The removed change, null if it was no longer pending.
+   * @private
+   */
+  async _removePendingChange(id) {
+    let removed = null;
+    await this._queuePendingWrite((changes) => {
+      const index = changes.findIndex((c) => c.id === id);
+      if (index !== -1) removed = changes.splice(index, 1)[0];
+    });
+    return removed;
+  }
+
+  /**
+   * Queues a change of the stored pending changes, like {@link WatchManager#_queueWrite} does for the watches.
+   * @param {Function} change - Changes the array of pending changes in place.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _queuePendingWrite(change) {
+    const write = pendingQueue.then(async () => {
+      const changes = foundry.utils.deepClone(this.pendingChanges);
+      change(changes);
+      await game.settings.set("on-watch", "pendingChanges", changes);
+    });
+    pendingQueue = write.catch((error) => console.error("On Watch | Failed to store the pending changes.", error));
+    return write;
+  }
+
+  /* -------------------------------------------- */
+  /*  Watch Control Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Initializes the current watch based on turns.
+   * @returns {Watch} The current watch object.
+   */
+  _calcWatch() {
+    const totalDuration = this.turns.reduce(
+      (sum, turn) => sum + turn.duration,
+      0
+    );
+    return { duration: totalDuration, turns: this.turns };
+  }
+
+  /**
+   * The current watch, with its total duration.
+   * @type {Watch}
+   */
+  get watch() {
+    return this._calcWatch();
+  }
+
+  /**
+   * Merges changes into the stored watch settings, preserving the values which are not changed.
+   * @param {object} changes - The watch setting values to change.
+   * @returns {Promise<void>}
+   */
+  async _updateWatchSettings(changes) {
+    return this._updateRecord((record) => foundry.utils.mergeObject(record, changes));
+  }
+
+  /**
+   * Stores the turns of the watch, recording the turns they replace in its history.
+   * @param {Object[]} turns - The stored turns.
+   * @param {object} [options]
+   * @param {string|null} [options.history=null] - "undo" or "redo" to move through the history
+   *                                               instead of recording a new edit.
+   * @param {string} [options.userId=game.user.id] - The id of the user who made the edit.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setStoredTurns(turns, { history = null, userId = game.user.id } = {}) {
+    let previous = null;
+    await this._updateRecord((record) => {
+      if (JSON.stringify(record.turns ?? []) === JSON.stringify(turns)) return;
+      previous = record.turns ?? [];
+      record.turns = turns;
+    });
+    if (previous) await this._recordHistory(previous, { history, userId });
+  }
+
+  /* -------------------------------------------- */
+  /*  History Methods                             */
+  /* -------------------------------------------- */
+
+  /**
+   * The number of edits of the turns kept in the history of a watch.
+   * @type {number}
+   */
+  static HISTORY_SIZE = 20;
+
+  /**
+   * The edits of the turns of the watch that can be undone and redone.
+   * It is stored apart from the watch record, which is rewritten on every event of the watch.
+   * @type {{undo: HistoryEntry[], redo: HistoryEntry[]}}
+   */
+  get history() {
+    const { undo = [], redo = [] } = game.settings.get("on-watch", "turnHistory")[this.watchId] ?? {};
+    return { undo, redo };
+  }
+
+  /**
+   * Whether this user can undo the last edit of the turns. Players can only undo their own edits.
+   * @type {boolean}
+   */
+  get canUndo() {
+    return this._canMoveHistory("undo");
+  }
+
+  /**
+   * Whether this user can redo the last undone edit of the turns. Players can only redo their own edits.
+   * @type {boolean}
+   */
+  get canRedo() {
+    return this._canMoveHistory("redo");
+  }
+
+  /**
+   * Check whether a user can undo or redo the last edit of the turns. Players can only undo and redo their own edits.
+   * @param {string} history - "undo" or "redo".
+   * @param {User} [user=game.user]
+   * @returns {boolean}
+   * @private
+   */
+  _canMoveHistory(history, user = game.user) {
+    const entry = this.history[history].at(-1);
+    return !!entry && (user.isGM || entry.userId === user.id);
+  }
+
+  /**
+   * Restores the turns as they were before the last edit.
+   * @returns {Promise<void>}
+   */
+  async undo() {
+    if (!this.canUndo) return;
+    this.turns = await this._validateTurns(this.history.undo.at(-1).turns);
+    await this.updateTurns(this.turns, true, { history: "undo" });
+  }
+
+  /**
+   * Applies again the last undone edit of the turns.
+   * @returns {Promise<void>}
+   */
+  async redo() {
+    if (!this.canRedo) return;
+    this.turns = await this._validateTurns(this.history.redo.at(-1).turns);
+    await this.updateTurns(this.turns, true, { history: "redo" });
+  }
+
+  /**
+   * Records an edit of the turns in the history of the watch.
+   * Moving through the history keeps the user who made the undone or redone edit.
+   * @param {Object[]} previous - The stored turns replaced by the edit.
+   * @param {object} options
+   * @param {string|null} options.history - "undo" or "redo" if the edit moved through the history.
+   * @param {string} options.userId - The id of the user who made the edit.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordHistory(previous, { history, userId }) {
+    const watchId = this.watchId;
+    return this._queueHistoryWrite((stored) => {
+      const undo = stored[watchId]?.undo ?? [];
+      let redo = stored[watchId]?.redo ?? [];
+      if (history === "undo") {
+        const entry = undo.pop();
+        redo.push({ turns: previous, userId: entry?.userId ?? userId });
+      } else if (history === "redo") {
+        const entry = redo.pop();
+        undo.push({ turns: previous, userId: entry?.userId ?? userId });
+      } else {
+        undo.push({ turns: previous, userId });
+        redo = [];
+      }
+      stored[watchId] = {
+        undo: undo.slice(-WatchManager.HISTORY_SIZE),
+        redo: redo.slice(-WatchManager.HISTORY_SIZE),
+      };
+    });
+  }
+
+  /**
+   * Queues a change of the stored history of the watches, like {@link WatchManager#_queueWrite} does for the watches.
+   * @param {Function} change - Changes the stored history, keyed by watch id, in place.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _queueHistoryWrite(change) {
+    const write = historyQueue.then(async () => {
+      const stored = foundry.utils.deepClone(game.settings.get("on-watch", "turnHistory"));
+      change(stored);
+      await game.settings.set("on-watch", "turnHistory", stored);
+    });
+    historyQueue = write.catch((error) =>
+      console.error("On Watch | Failed to store the history of the watches.", error)
+    );
+    return write;
+  }
+
+  /* -------------------------------------------- */
+  /*  Watches Methods                             */
+  /* -------------------------------------------- */
+
+  /**
+   * The stored watches a user can see: every watch for a GM, and for players the watches of their actors.
+   * Players who can add their actors see every watch, so they can join a watch they are not in yet.
+   * @param {User} [user=game.user]
+   * @returns {WatchRecord[]}
+   */
+  static getVisibleWatches(user = game.user) {
+    const watches = game.settings.get("on-watch", "watches") ?? [];
+    if (user.isGM || game.settings.get("on-watch", "playerAdd")) return watches;
+    return watches.filter((watch) =>
+      watch.turns.some((turn) =>
+        (turn.members ?? []).some((uuid) => fromUuidSync(uuid)?.testUserPermission?.(user, "OWNER"))
+      )
+    );
+  }
+
+  /**
+   * The stored record of the watch.
+   * @type {WatchRecord|null}
+   */
+  get record() {
+    return game.settings.get("on-watch", "watches").find((w) => w.id === this.watchId) ?? null;
+  }
+
+  /**
+   * Get a WatchManager for another watch. It shares the state, applications and socket of this one.
+   * @param {string} watchId - The id of the watch.
+   * @returns {WatchManager}
+   */
+  forWatch(watchId) {
+    if (watchId === this.watchId) return this;
+    return Object.create(this, {
+      watchId: { value: watchId },
+      app: { value: this.app },
+      presetsApp: { value: this.presetsApp },
+    });
+  }
+
+  /**
+   * Shows another watch in this client.
+   * @param {string} watchId - The id of the watch.
+   * @returns {Promise<void>}
+   */
+  async selectWatch(watchId) {
+    if (!WatchManager.getVisibleWatches().some((w) => w.id === watchId)) return;
+    this.watchId = watchId;
+    await game.settings.set("on-watch", "selectedWatch", watchId);
+    this.app.render();
+  }
+
+  /**
+   * Creates a new watch and shows it.
+   * @param {object} [data]
+   * @param {string} [data.name] - The name of the watch.
+   * @param {string|null} [data.scene=null] - The id of the scene of the camp.
+   * @returns {Promise<string|void>} The id of the new watch.
+   */
+  async createWatch({ name = game.i18n.localize("ONWATCH.Watch.DefaultName"), scene = null } = {}) {
+    if (!game.user.isGM) return;
+    const id = foundry.utils.randomID();
+    await this._queueWrite((records) => records.push({ id, name, scene, turns: [] }));
+    await this.selectWatch(id);
+    return id;
+  }
+
+  /**
+   * Deletes a watch which is not started.
+   * @param {string} [watchId] - The id of the watch, the shown watch by default.
+   * @returns {Promise<void>}
+   */
+  async deleteWatch(watchId = this.watchId) {
+    const records = game.settings.get("on-watch", "watches");
+    const record = records.find((w) => w.id === watchId);
+    if (!game.user.isGM || !record) return;
+    if (record.watchActive) return ui.notifications.warn("ONWATCH.Watch.DeleteActive", { localize: true });
+    if (records.length === 1) return ui.notifications.warn("ONWATCH.Watch.DeleteLast", { localize: true });
+
+    const confirm = await foundry.applications.api.DialogV2.confirm({
+      rejectClose: false,
+      window: { title: "ONWATCH.Watch.Delete", icon: "fa-solid fa-trash" },
+      content: `<p>${game.i18n.format("ONWATCH.Watch.DeleteConfirm", { name: record.name })}</p>`,
+    });
+    if (!confirm) return;
+
+    await this._queueWrite((watches) => watches.splice(watches.findIndex((w) => w.id === watchId), 1));
+    await this._queueHistoryWrite((stored) => delete stored[watchId]);
+    this.states.delete(watchId);
+    if (this.watchId === watchId) this.watchId = null;
+    await this._initWatches();
+    this.app.render();
+  }
+
+  /**
+   * Opens a dialog to rename the shown watch and choose the scene of its camp.
+   * @returns {Promise<void>}
+   */
+  async configureWatch() {
+    const { DialogV2 } = foundry.applications.api;
+    const { StringField } = foundry.data.fields;
+    const record = this.record;
+    if (!record) return;
+
+    const scenes = game.scenes.reduce((acc, { id, name }) => {
+      acc[id] = name;
+      return acc;
+    }, {});
+    const content = [
+      new StringField({ label: "ONWATCH.Name", required: true, blank: false })
+        .toFormGroup({ localize: true }, { name: "name", value: record.name }),
+      new StringField({
+        label: "ONWATCH.Watch.Scene",
+        hint: "ONWATCH.Watch.SceneHint",
+        choices: scenes,
+        blank: true,
+      }).toFormGroup({ localize: true }, { name: "scene", value: record.scene ?? "" }),
+    ]
+      .map((group) => group.outerHTML)
+      .join("");
+
+    const data = await DialogV2.prompt({
+      rejectClose: false,
+      window: { title: "ONWATCH.Watch.Configure", icon: "fa-solid fa-campground" },
+      content,
+      ok: {
+        label: "ONWATCH.Save",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+    if (!data) return;
+
+    await this._updateWatchSettings({ name: data.name || record.name, scene: data.scene || null });
+  }
+
+  /**
+   * Updates the stored record of the watch.
+   * @param {Function} update - Changes the record in place.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateRecord(update) {
+    const watchId = this.watchId;
+    return this._queueWrite((records) => {
+      const record = records.find((w) => w.id === watchId);
+      if (record) update(record);
+    });
+  }
+
+  /**
+   * Queues a change of the stored watches. Every watch lives in the same setting,
+   * so each change waits for the previous one to be stored before it reads the setting.
+   * A failed change rejects its own promise, but does not stop the changes queued after it.
+   * @param {Function} change - Changes the array of stored watches in place.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _queueWrite(change) {
+    const write = writeQueue.then(async () => {
+      const records = foundry.utils.deepClone(game.settings.get("on-watch", "watches"));
+      change(records);
+      await game.settings.set("on-watch", "watches", records);
+    });
+    writeQueue = write.catch((error) => console.error("On Watch | Failed to store the watches.", error));
+    return write;
+  }
+
+  /**
+   * Follows the world time with every started watch.
+   * @param {number} worldTime - The world time in seconds.
+   * @returns {Promise<void>}
+   */
+  async syncWatches(worldTime) {
+    for (const [watchId, state] of this.states) {
+      if (state.isActive) await this.forWatch(watchId).syncWorldTime(worldTime);
+    }
+  }
+
+  /**
+   * Start a new Watch
+   * @returns
+   */
+  async startWatch() {
+    if (this.isActive || !this.record) return;
+
+    const defaultPreset = this.presets.find((p) => p.isDefault);
+    if (!this.turns.length && defaultPreset) await this.loadPreset(defaultPreset.id);
+
+    this.isActive = true;
+    this._currentTurn = 0;
+
+    await this._updateWatchSettings({
+      watchActive: true,
+      currentTurn: 0,
+      startTime: game.time.worldTime,
+      finished: false,
+      events: [],
+    });
+
+    this.app?.render();
+    this.socket.emitRenderTracker(true, this.watchId);
+
+    /**
+     * A hook event that fires when a watch starts.
+     * @function onWatch.start
+     * @memberof hookEvents
+     * @param {WatchManager} watchManager - The WatchManager of the watch.
+     */
+    Hooks.callAll("onWatch.start", this);
+  }
+
+  /**
+   * End the Watch. The last turn has no next turn to move to, so its encounter check is performed here
+   * when the watch ends on it, unless the world time already went past it.
+   * @param {object} [options]
+   * @param {boolean} [options.longRest=false] - Apply a long rest to every member of the watch.
+   * @param {boolean} [options.silentNPCs=false] - Skip the rest dialog for actors without a player owner.
+   * @returns {Promise<void>}
+   */
+  async endWatch({ longRest = false, silentNPCs = false } = {}) {
+    if (!this.isActive) return;
+    if (this.currentTurn === this.turns.length - 1 && !this.record?.finished) {
+      await this.rollEncounter(this.turns[this.currentTurn]);
+    }
+    const rests = this._getRestTypes();
+    const log = await this._prepareLog();
+
+    this.isActive = false;
+    this._currentTurn = undefined;
+    await this._updateWatchSettings({ watchActive: false, currentTurn: undefined, startTime: null });
+
+    await this.updateTurns([]);
+    const summaries = longRest ? await this.rest(rests, { silentNPCs }) : [];
+    if (game.settings.get("on-watch", "watchLog")) await this.writeLog({ ...log, rests: summaries });
+
+    /**
+     * A hook event that fires when a watch ends.
+     * @function onWatch.end
+     * @memberof hookEvents
+     * @param {WatchManager} watchManager - The WatchManager of the watch.
+     * @param {object} log - The record of the watch, with the summaries of the rests taken.
+     */
+    Hooks.callAll("onWatch.end", this, { ...log, rests: summaries });
+  }
+
+  /**
+   * Opens a dialog to confirm the end of the watch and choose whether its members take a long rest.
+   * @returns {Promise<object|null>} The options for {@link WatchManager#endWatch}, or null if cancelled.
+   */
+  async createEndWatchDialog() {
+    const { DialogV2 } = foundry.applications.api;
+    const { BooleanField } = foundry.data.fields;
+
+    const content = [
+      new BooleanField({
+        label: "ONWATCH.EndWatch.LongRest",
+        hint: "ONWATCH.EndWatch.LongRestHint",
+      }).toFormGroup({ localize: true }, { name: "longRest", value: false }),
+      new BooleanField({
+        label: "ONWATCH.EndWatch.SilentNPCs",
+        hint: "ONWATCH.EndWatch.SilentNPCsHint",
+      }).toFormGroup({ localize: true }, { name: "silentNPCs", value: true }),
+    ]
+      .map((group) => group.outerHTML)
+      .join("");
+
+    return DialogV2.prompt({
+      rejectClose: false,
+      window: { title: "ONWATCH.EndWatch.Title", icon: "fa-solid fa-campground" },
+      content,
+      ok: {
+        label: "ONWATCH.EndWatch.Title",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+  }
+
+  /**
+   * The UUIDs of every actor that appears in any turn of the watch.
+   * @type {Set<string>}
+   */
+  get members() {
+    return new Set(this.turns.flatMap((turn) => Array.from(turn.members)));
+  }
+
+  /* -------------------------------------------- */
+  /*  Log Methods                                 */
+  /* -------------------------------------------- */
+
+  /**
+   * Formats a world time as a day and clock time.
+   * @param {number} seconds - The world time in seconds.
+   * @returns {string}
+   */
+  static formatTime(seconds) {
+    const day = Math.floor(seconds / 86400) + 1;
+    return game.i18n.format("ONWATCH.Log.Time", { day, clock: WatchManager.formatClock(seconds) });
+  }
+
+  /**
+   * Formats a world time as a clock time.
+   * @param {number} seconds - The world time in seconds.
+   * @returns {string} The time as "HH:MM".
+   */
+  static formatClock(seconds) {
+    const daySeconds = ((seconds % 86400) + 86400) % 86400;
+    const hours = Math.floor(daySeconds / 3600);
+    const minutes = Math.floor((daySeconds % 3600) / 60);
+    return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+  }
+
+  /**
+   * Localizes a string in the plural form of the language for a count, such as "one" or "other".
+   * The forms are the keys nested in the given key, and the count fills its `{count}` placeholder.
+   * @param {string} key - The localization key which holds the plural forms.
+   * @param {number} count
+   * @param {object} [data] - More data to format the string with.
+   * @returns {string}
+   */
+  static localizePlural(key, count, data = {}) {
+    const rule = new Intl.PluralRules(game.i18n.lang).select(count);
+    const pluralKey = game.i18n.has(`${key}.${rule}`) ? `${key}.${rule}` : `${key}.other`;
+    return game.i18n.format(pluralKey, { count, ...data });
+  }
+
+  /**
+   * Localizes a string in the plural form of the language for a count.
+   * @param {string} key - The localization key which holds the plural forms.
+   * @param {number} count
+   * @param {object} [data] - More data to format the string with.
+   * @returns {string}
+   * @see {@link WatchManager.localizePlural}
+   */
+  localizePlural(key, count, data) {
+    return WatchManager.localizePlural(key, count, data);
+  }
+
+  /**
+   * Get the unit of a number of hours.
+   * @param {number} hours
+   * @returns {string} The unit, such as "hour" or "hours".
+   */
+  static getHoursUnit(hours) {
+    return WatchManager.localizePlural("ONWATCH.HoursUnit", hours);
+  }
+
+  /**
+   * Formats a number of hours with its unit.
+   * @param {number} hours
+   * @returns {string} The hours, such as "1 hour" or "3 hours".
+   */
+  static formatHours(hours) {
+    return WatchManager.localizePlural("ONWATCH.Hours", hours);
+  }
+
+  /**
+   * Records an event of the active watch, such as a roll or an encounter, for the watch log.
+   * @param {string} type - The type of the event.
+   * @param {Turn} turn - The turn in which the event happened.
+   * @param {string} text - A description of the event.
+   * @returns {Promise<void>}
+   */
+  async logEvent(type, turn, text) {
+    if (!game.user.isGM || !this.isActive) return;
+    const event = {
+      type,
+      turn: this.turns.indexOf(turn) + 1,
+      time: game.time.worldTime,
+      text,
+    };
+    // Appended when the write runs, so the events logged just before are not overwritten
+    await this._updateRecord((record) => {
+      record.events = [...(record.events ?? []), event];
+    });
+  }
+
+  /**
+   * Gathers the record of the active watch before it ends.
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _prepareLog() {
+    const { startTime, events } = this.record ?? {};
+    const turns = await Promise.all(
+      this.turns.map(async (turn, index) => ({
+        number: index + 1,
+        duration: turn.duration,
+        hours: WatchManager.formatHours(turn.duration),
+        interrupted: turn.interrupted,
+        members: (
+          await Promise.all(Array.from(turn.members, async (uuid) => await fromUuid(uuid)))
+        )
+          .filter((actor) => actor !== null)
+          .map((actor) => actor.name),
+      }))
+    );
+    const completed = this.currentTurn >= this.turns.length - 1;
+
+    return {
+      start: WatchManager.formatTime(startTime ?? game.time.worldTime),
+      end: WatchManager.formatTime(game.time.worldTime),
+      duration: this.watch?.duration ?? 0,
+      hours: WatchManager.formatHours(this.watch?.duration ?? 0),
+      turns,
+      events: (events ?? []).map((e) => ({ ...e, time: WatchManager.formatTime(e.time) })),
+      ending: completed
+        ? WatchManager.localizePlural("ONWATCH.Log.Completed", turns.length)
+        : game.i18n.format("ONWATCH.Log.EndedEarly", { turn: this.currentTurn + 1, count: turns.length }),
+    };
+  }
+
+  /**
+   * Writes the record of a watch as a page of the Watch Log journal, creating the journal if needed.
+   * @param {object} log - The record of the watch.
+   * @returns {Promise<JournalEntryPage|void>}
+   */
+  async writeLog(log) {
+    if (!game.user.isGM) return;
+    let journal = game.journal.get(game.settings.get("on-watch", "logJournal"));
+    if (!journal) {
+      journal = await JournalEntry.create({ name: game.i18n.localize("ONWATCH.Log.Journal") });
+      await game.settings.set("on-watch", "logJournal", journal.id);
+    }
+
+    const content = await renderTemplate("modules/on-watch/templates/watch-log.hbs", log);
+    const [page] = await journal.createEmbeddedDocuments("JournalEntryPage", [
+      { name: game.i18n.format("ONWATCH.Log.Page", { start: log.start }), type: "text", text: { content } },
+    ]);
+    return page;
+  }
+
+  /* -------------------------------------------- */
+  /*  Rest Methods                                */
+  /* -------------------------------------------- */
+
+  /**
+   * Works out the hours on duty of every member against the total duration of the watch,
+   * and whether they meet the rest rules. An interrupted turn breaks the rest of the members who sleep
+   * during it, not of its own members, who are awake anyway.
+   * @returns {Map<string, RestValidation>} The validation of each member, keyed by UUID.
+   */
+  validateRest() {
+    const minSleep = game.settings.get("on-watch", "minSleep");
+    const maxActivity = game.settings.get("on-watch", "maxActivity");
+    const { duration } = this.watch ?? this._calcWatch();
+    const validations = new Map();
+
+    for (const uuid of this.members) {
+      const turns = this.turns.filter((turn) => turn.members.has(uuid));
+      const duty = turns.reduce((sum, turn) => sum + turn.duration, 0);
+      const sleep = duration - duty;
+      const interrupted = this.turns.some((turn) => turn.interrupted && !turn.members.has(uuid));
+
+      const reasons = [];
+      const { formatHours } = WatchManager;
+      if (sleep < minSleep) {
+        reasons.push(game.i18n.format("ONWATCH.Rest.Sleep", { sleep: formatHours(sleep), min: formatHours(minSleep) }));
+      }
+      if (duty > maxActivity) {
+        reasons.push(game.i18n.format("ONWATCH.Rest.Duty", { duty: formatHours(duty), max: formatHours(maxActivity) }));
+      }
+      if (interrupted) reasons.push(game.i18n.localize("ONWATCH.Rest.Interrupted"));
+
+      validations.set(uuid, { duty, sleep, interrupted, valid: !reasons.length, reasons });
+    }
+    return validations;
+  }
+
+  /**
+   * Decides the rest each member takes according to the rest rules.
+   * @returns {Map<string, string|null>} "long", "short" or null for no rest, keyed by UUID.
+   * @private
+   */
+  _getRestTypes() {
+    const violation = game.settings.get("on-watch", "restViolation");
+    const rests = new Map();
+    for (const [uuid, { valid }] of this.validateRest()) {
+      if (valid || violation === "ignore") rests.set(uuid, "long");
+      else rests.set(uuid, violation === "shortRest" ? "short" : null);
+    }
+    return rests;
+  }
+
+  /**
+   * Applies a rest to a group of actors and posts a summary card of the rests.
+   * Actors owned by an active player rest on that player's client, with their own dialog.
+   * The rests that players finish after the `rollTimeout` setting are posted in a card of their own.
+   * If the system has no rests, the card only records that none could be applied.
+   * @param {Map<string, string|null>} rests - The rest each actor takes, "long", "short" or null, keyed by UUID.
+   * @param {object} [options]
+   * @param {boolean} [options.silentNPCs=false] - Skip the rest dialog for actors without a player owner.
+   * @returns {Promise<object[]>} The summaries of the rests.
+   */
+  async rest(rests, { silentNPCs = false } = {}) {
+    const socketData = new Map();
+    const gmActors = [];
+    const summaries = [];
+
+    for (const [uuid, type] of rests) {
+      const actor = await fromUuid(uuid);
+      if (!actor) continue;
+      if (!type || !WatchManager.adapter.canRest) {
+        summaries.push(WatchManager.summarizeRest(actor, null, type));
+        continue;
+      }
+      const user = this._getActiveOwner(actor);
+      if (!user) {
+        gmActors.push([actor, type]);
+        continue;
+      }
+      if (!socketData.has(user.id)) socketData.set(user.id, { actors: [] });
+      socketData.get(user.id).actors.push({ uuid, type });
+    }
+    const playerRests = this.socket.emitRequestRest(socketData, {
+      onLate: (_, data) => {
+        if (data.length) this._createRestMessage(data);
+      },
+    });
+
+    for (const [actor, type] of gmActors) {
+      const dialog = !(silentNPCs && !actor.hasPlayerOwner);
+      const result = await WatchManager.restActor(actor, type, { dialog });
+      summaries.push(WatchManager.summarizeRest(actor, result, type));
+    }
+    summaries.push(...(await playerRests));
+
+    await this._createRestMessage(summaries);
+    return summaries;
+  }
+
+  /**
+   * Performs a rest on an actor, without its chat card.
+   * @param {Actor} actor - The actor that rests.
+   * @param {string} type - The type of rest, "long" or "short".
+   * @param {object} [options]
+   * @param {boolean} [options.dialog=true] - Show the rest dialog.
+   * @returns {Promise<object|undefined>} The RestResult, undefined if the rest was cancelled.
+   */
+  static async restActor(actor, type, { dialog = true } = {}) {
+    return WatchManager.adapter.rest(actor, type, { dialog });
+  }
+
+  /**
+   * Summarizes what an actor recovered on a rest.
+   * @param {Actor} actor - The actor that rested.
+   * @param {object|null|undefined} result - The RestResult returned by the system, empty if the actor did not rest.
+   * @param {string|null} type - The type of rest taken, "long", "short" or null if refused by the rest rules.
+   * @returns {object}
+   */
+  static summarizeRest(actor, result, type) {
+    const summary = {
+      name: actor.name,
+      img: actor.img,
+      rested: !!result,
+      refused: !type,
+      unsupported: !WatchManager.adapter.canRest,
+      short: type === "short",
+    };
+    if (!result) return summary;
+    return Object.assign(summary, WatchManager.adapter.summarizeRest(actor, result));
+  }
+
+  /**
+   * Posts a single chat card summarizing the rests of the watch members.
+   * @param {object[]} summaries - The summaries created by {@link WatchManager.summarizeRest}.
+   * @returns {Promise<ChatMessage>}
+   * @private
+   */
+  async _createRestMessage(summaries) {
+    const content = await renderTemplate(
+      "modules/on-watch/templates/rest-card.hbs",
+      { summaries }
+    );
+    return ChatMessage.create({
+      content,
+      speaker: ChatMessage.getSpeaker({ alias: "On Watch" }),
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Preset Methods                              */
+  /* -------------------------------------------- */
+
+  /**
+   * The watch order presets saved in the world.
+   * @type {Preset[]}
+   */
+  get presets() {
+    const presets = game.settings.get("on-watch", "presets");
+    return Array.isArray(presets) ? presets : [];
+  }
+
+  /**
+   * Stores the presets of the world.
+   * @param {Preset[]} presets
+   * @returns {Promise}
+   * @private
+   */
+  async _updatePresets(presets) {
+    return game.settings.set("on-watch", "presets", presets);
+  }
+
+  /**
+   * Saves the current turns as a named preset.
+   * @param {string} name - The name of the preset.
+   * @returns {Promise<Preset|void>} The created preset.
+   */
+  async savePreset(name) {
+    name = name?.trim();
+    if (!name || !this.turns.length) return;
+    const preset = {
+      id: foundry.utils.randomID(),
+      name,
+      turns: this._serializeTurns(this.turns),
+      isDefault: false,
+    };
+    await this._updatePresets([...this.presets, preset]);
+    return preset;
+  }
+
+  /**
+   * Replaces the current turns with the turns of a preset.
+   * Members whose actors no longer exist are dropped.
+   * @param {string} id - The id of the preset.
+   */
+  async loadPreset(id) {
+    const preset = this.presets.find((p) => p.id === id);
+    if (!preset) return;
+    this.turns = await this._validateTurns(preset.turns);
+    await this.updateTurns(this.turns);
+  }
+
+  /**
+   * Renames a preset.
+   * @param {string} id - The id of the preset.
+   * @param {string} name - The new name of the preset.
+   */
+  async renamePreset(id, name) {
+    name = name?.trim();
+    if (!name) return;
+    await this._updatePresets(
+      this.presets.map((p) => (p.id === id ? { ...p, name } : p))
+    );
+  }
+
+  /**
+   * Deletes a preset.
+   * @param {string} id - The id of the preset.
+   */
+  async deletePreset(id) {
+    await this._updatePresets(this.presets.filter((p) => p.id !== id));
+  }
+
+  /**
+   * Sets a preset as the default one, or unsets it if it is already the default.
+   * @param {string} id - The id of the preset.
+   */
+  async toggleDefaultPreset(id) {
+    await this._updatePresets(
+      this.presets.map((p) => ({ ...p, isDefault: p.id === id && !p.isDefault }))
+    );
+  }
+
+  /* -------------------------------------------- */
+  /*  Encounter Methods                           */
+  /* -------------------------------------------- */
+
+  /**
+   * The encounter check configuration of the watch.
+   * @type {{enabled: boolean, table: string, chance: number|null, gmOnly: boolean}}
+   */
+  get encounter() {
+    return this.record?.encounter ?? {};
+  }
+
+  /**
+   * Performs the random encounter check for a turn which has just ended.
+   * If a "1 in d" chance is configured it is rolled first, and a RollTable is only drawn on a hit.
+   * Only an empty chance leaves the RollTable draw alone to decide the encounter, a chance of 0 never hits.
+   * @param {Turn} turn - The turn which has ended.
+   * @returns {Promise<ChatMessage|void>} The chat card posted when the check hits.
+   */
+  async rollEncounter(turn) {
+    const { enabled, table: tableUuid, chance = null, gmOnly } = this.encounter;
+    if (!game.user.isGM || !enabled || !turn || chance === 0) return;
+
+    const table = tableUuid ? await fromUuid(tableUuid) : null;
+    if (!table && chance === null) return;
+
+    let roll = null;
+    if (chance !== null) {
+      roll = await new Roll(`1d${chance}`).evaluate();
+      if (roll.total !== 1) return;
+    }
+
+    let results = [];
+    if (table) {
+      const draw = await table.draw({ displayChat: false });
+      results = draw.results;
+      if (chance === null && !results.length) return;
+    }
+
+    return this._createEncounterMessage(turn, { roll, chance, table, results, gmOnly });
+  }
+
+  /**
+   * Posts a chat card announcing an encounter during a turn.
+   * @param {Turn} turn - The turn in which the encounter happens.
+   * @param {object} data
+   * @param {Roll|null} data.roll - The "1 in d" chance roll, if any.
+   * @param {number|null} data.chance - The "1 in d" chance die.
+   * @param {RollTable|null} data.table - The RollTable drawn, if any.
+   * @param {TableResult[]} data.results - The results drawn from the table.
+   * @param {boolean} data.gmOnly - Whether the card is whispered to the GMs.
+   * @returns {Promise<ChatMessage>}
+   * @private
+   */
+  async _createEncounterMessage(turn, { roll, chance, table, results, gmOnly }) {
+    const watchers = (
+      await Promise.all(this.getWatchers(turn).map(async (uuid) => await fromUuid(uuid)))
+    ).filter((actor) => actor !== null);
+
+    const content = await renderTemplate(
+      "modules/on-watch/templates/encounter-card.hbs",
+      {
+        turnNumber: this.turns.indexOf(turn) + 1,
+        watchers,
+        chance,
+        table,
+        results: results.map((r) => ({ img: r.img, text: r.getChatText() })),
+      }
+    );
+
+    const found = results.map((r) => r.text).filter((text) => text).join(", ");
+    const text = found
+      ? game.i18n.format("ONWATCH.Event.EncounterFound", { found })
+      : game.i18n.localize("ONWATCH.Event.Encounter");
+    await this.logEvent("encounter", turn, text);
+
+    return ChatMessage.create({
+      content,
+      speaker: ChatMessage.getSpeaker({ alias: "On Watch" }),
+      rolls: roll ? [roll] : [],
+      whisper: gmOnly ? ChatMessage.getWhisperRecipients("GM") : [],
+    });
+  }
+
+  /**
+   * Opens a dialog to configure the random encounter check of the watch.
+   * @returns {Promise<void>}
+   */
+  async configureEncounter() {
+    const { DialogV2 } = foundry.applications.api;
+    const { BooleanField, NumberField, StringField } = foundry.data.fields;
+    const { enabled, table, chance, gmOnly } = this.encounter;
+
+    const choices = game.tables.reduce((acc, { name, uuid }) => {
+      acc[uuid] = name;
+      return acc;
+    }, {});
+
+    const content = [
+      new BooleanField({ label: "ONWATCH.Encounter.Enabled" }).toFormGroup(
+        { localize: true },
+        { name: "enabled", value: enabled }
+      ),
+      new StringField({ label: "ONWATCH.Encounter.Table", choices, blank: true }).toFormGroup(
+        { localize: true },
+        { name: "table", value: table }
+      ),
+      new NumberField({
+        label: "ONWATCH.Encounter.Chance",
+        hint: "ONWATCH.Encounter.ChanceHint",
+        integer: true,
+        min: 1,
+      }).toFormGroup({ localize: true }, { name: "chance", value: chance }),
+      new BooleanField({ label: "ONWATCH.WhisperGM" }).toFormGroup(
+        { localize: true },
+        { name: "gmOnly", value: gmOnly }
+      ),
+    ]
+      .map((group) => group.outerHTML)
+      .join("");
+
+    const encounter = await DialogV2.prompt({
+      rejectClose: false,
+      window: { title: "ONWATCH.Encounter.Title", icon: "fa-solid fa-dragon" },
+      content,
+      ok: {
+        label: "ONWATCH.Save",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+    if (!encounter) return;
+
+    await this._updateWatchSettings({ encounter });
+  }
+
+  /* -------------------------------------------- */
+  /*  Vision Methods                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Localization keys of the labels of the light levels of a watch.
+   * @type {Record<string, string>}
+   */
+  static LIGHT_LEVELS = Object.freeze({
+    bright: "ONWATCH.Light.Bright",
+    dim: "ONWATCH.Light.Dim",
+    dark: "ONWATCH.Light.Dark",
+    scene: "ONWATCH.Light.Scene",
+  });
+
+  /**
+   * The light level of the watch, resolving the darkness of the scene of the camp into a level.
+   * A watch without a scene is in bright light, so every client works out the same level.
+   * @type {string} "bright", "dim" or "dark".
+   */
+  get lightLevel() {
+    const light = this.record?.light ?? "scene";
+    if (light !== "scene") return light;
+
+    const scene = game.scenes.get(this.record?.scene);
+    const darkness = scene?.environment?.darknessLevel ?? 0;
+    if (darkness >= 0.75) return "dark";
+    if (darkness >= 0.25) return "dim";
+    return "bright";
+  }
+
+  /**
+   * Works out how well an actor sees under the light level of the watch.
+   * Dim light impairs actors without special senses, and darkness also impairs darkvision.
+   * @param {Actor} actor
+   * @returns {Vision}
+   */
+  getVision(actor) {
+    const light = this.lightLevel;
+    const senses = WatchManager.adapter.getSenses(actor);
+    const sense =
+      ["truesight", "blindsight", "tremorsense", "darkvision"].find(
+        (s) => (senses[s] ?? 0) > 0
+      ) ?? null;
+
+    let impaired = false;
+    if (light === "dim") impaired = !sense;
+    else if (light === "dark") impaired = !sense || sense === "darkvision";
+
+    return { light, sense, impaired };
+  }
+
+  /**
+   * Adds the vision modifiers of an actor to the data of its watch roll.
+   * Only the perception check of the system is affected by the light.
+   * @param {Actor} actor
+   * @param {object} [rollData={}]
+   * @param {string} [check] - The check rolled, the perception check of the system by default.
+   * @returns {object}
+   */
+  getRollData(actor, rollData = {}, check = WatchManager.adapter.perceptionCheck) {
+    if (!check || check !== WatchManager.adapter.perceptionCheck || !this.getVision(actor).impaired) {
+      return { ...rollData };
+    }
+    return { ...rollData, disadvantage: true };
+  }
+
+  /**
+   * Opens a dialog to configure the light level of the watch.
+   * @returns {Promise<void>}
+   */
+  async configureLight() {
+    const { DialogV2 } = foundry.applications.api;
+    const { StringField } = foundry.data.fields;
+    const { light } = this.record ?? {};
+
+    const choices = Object.fromEntries(
+      Object.entries(WatchManager.LIGHT_LEVELS).map(([level, label]) => [level, game.i18n.localize(label)])
+    );
+    const content = new StringField({
+      label: "ONWATCH.Light.Title",
+      hint: "ONWATCH.Light.Hint",
+      choices,
+      required: true,
+    }).toFormGroup({ localize: true }, { name: "light", value: light ?? "scene" }).outerHTML;
+
+    const data = await DialogV2.prompt({
+      rejectClose: false,
+      window: { title: "ONWATCH.Light.Title", icon: "fa-solid fa-moon" },
+      content,
+      ok: {
+        label: "ONWATCH.Save",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+    if (!data) return;
+
+    await this._updateWatchSettings({ light: data.light });
+  }
+
+  /* -------------------------------------------- */
+  /*  Passive Perception Methods                  */
+  /* -------------------------------------------- */
+
+  /**
+   * Get the passive Perception of an actor, with a -5 penalty if the light impairs its vision.
+   * @param {Actor} actor
+   * @returns {number|null}
+   */
+  getPassivePerception(actor) {
+    const passive = WatchManager.adapter.getPassiveScore(actor, "perception");
+    if (passive === null) return null;
+    return this.getVision(actor).impaired ? passive - 5 : passive;
+  }
+
+  /**
+   * Get the best passive Perception among the members of a turn who are keeping watch.
+   * @param {Turn} turn
+   * @returns {Promise<number|null>}
+   */
+  async getTurnPassive(turn) {
+    const scores = (
+      await Promise.all(this.getWatchers(turn).map(async (uuid) => await fromUuid(uuid)))
+    )
+      .filter((actor) => actor !== null)
+      .map((actor) => this.getPassivePerception(actor))
+      .filter((score) => score !== null);
+    return scores.length ? Math.max(...scores) : null;
+  }
+
+  /**
+   * The stealth of something approaching the camp, compared against the passive scores of the turns.
+   * @type {{stealth: number, label: string}|null}
+   */
+  get approach() {
+    return this.record?.approach ?? null;
+  }
+
+  /**
+   * Check whether a turn would spot the current approach with its best passive Perception.
+   * @param {number|null} passive - The best passive Perception of the turn.
+   * @returns {boolean|null} Null if there is no approach to compare.
+   */
+  spotsApproach(passive) {
+    if (!this.approach) return null;
+    return passive !== null && passive >= this.approach.stealth;
+  }
+
+  /**
+   * Opens a dialog to set the stealth of something approaching the camp,
+   * either a total or the lowest passive Stealth of a group of actors.
+   * @returns {Promise<void>}
+   */
+  async configureApproach() {
+    const { DialogV2 } = foundry.applications.api;
+    const { NumberField, SetField, StringField } = foundry.data.fields;
+
+    const choices = game.actors
+      .filter((a) => !a.hasPlayerOwner)
+      .reduce((acc, { name, uuid }) => {
+        acc[uuid] = name;
+        return acc;
+      }, {});
+
+    const content = [
+      new NumberField({ label: "ONWATCH.Approach.StealthTotal", integer: true, min: 0 })
+        .toFormGroup({ localize: true }, { name: "stealth", value: this.approach?.stealth }),
+      new SetField(new StringField({ choices }), {
+        label: "ONWATCH.Approach.Creatures",
+        hint: "ONWATCH.Approach.PassiveHint",
+      }).toFormGroup({ localize: true }, { name: "actors", value: [] }),
+    ]
+      .map((group) => group.outerHTML)
+      .join("");
+
+    const data = await DialogV2.prompt({
+      rejectClose: false,
+      window: { title: "ONWATCH.Approach.Title", icon: "fa-solid fa-user-secret" },
+      content: `<p class="hint">${game.i18n.localize("ONWATCH.Approach.Clear")}</p>${content}`,
+      ok: {
+        label: "ONWATCH.Approach.Compare",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+    if (!data) return;
+
+    const creatures = (
+      await Promise.all((data.actors ?? []).map(async (uuid) => await fromUuid(uuid)))
+    ).filter((actor) => actor !== null);
+    const scores = creatures
+      .map((actor) => WatchManager.adapter.getPassiveScore(actor, "stealth"))
+      .filter((score) => score !== null);
+
+    let approach = null;
+    if (scores.length) {
+      approach = {
+        stealth: Math.min(...scores),
+        label: creatures.map((a) => a.name).join(", "),
+      };
+    } else if (typeof data.stealth === "number") {
+      approach = {
+        stealth: data.stealth,
+        label: game.i18n.format("ONWATCH.Approach.Stealth", { total: data.stealth }),
+      };
+    }
+    await this._updateWatchSettings({ approach });
+  }
+
+  /* -------------------------------------------- */
+  /*  Stealth Contest Methods                     */
+  /* -------------------------------------------- */
+
+  /**
+   * The Stealth total of a group of creatures, as a group check: the highest total
+   * that at least half of the creatures reach.
+   * @param {number[]} totals - The Stealth totals of the creatures.
+   * @returns {number|null}
+   */
+  static groupStealth(totals) {
+    if (!totals.length) return null;
+    const sorted = [...totals].sort((a, b) => b - a);
+    return sorted[Math.ceil(sorted.length / 2) - 1];
+  }
+
+  /**
+   * Resolves something approaching the camp during the current turn. The Stealth of the creatures is compared
+   * against the Perception of each watcher, and the outcome is posted in a chat card.
+   * @param {object} options
+   * @param {string[]} [options.creatures=[]] - The UUIDs of the approaching actors or tokens, which roll a group Stealth.
+   * @param {number|null} [options.stealth] - A fixed Stealth total, used when there are no creatures.
+   * @param {string} [options.perception="passive"] - How the watchers notice, "passive" or "roll".
+   * @param {boolean} [options.gmOnly=true] - Whisper the card to the GMs.
+   * @returns {Promise<ChatMessage|void>}
+   */
+  async resolveApproach({ creatures = [], stealth = null, perception = "passive", gmOnly = true } = {}) {
+    const turn = this.turns.find((t) => t.sort === this.currentTurn);
+    if (!this.isActive || !turn) return;
+    const { adapter } = WatchManager;
+
+    const actors = (await Promise.all(creatures.map(async (uuid) => await fromUuid(uuid))))
+      .map((doc) => (doc instanceof TokenDocument ? doc.actor : doc))
+      .filter((actor) => actor instanceof Actor);
+    // The group rolls without a dialog for each creature
+    const stealthRolls = [];
+    for (const actor of actors) {
+      const roll = await WatchManager.rollCheck(actor, adapter.stealthCheck, { chatMessage: false, fastForward: true });
+      if (roll) stealthRolls.push({ actor, roll });
+    }
+    const total = stealthRolls.length
+      ? WatchManager.groupStealth(stealthRolls.map(({ roll }) => roll.total))
+      : stealth;
+    if (typeof total !== "number") {
+      ui.notifications.warn("ONWATCH.Approach.Missing", { localize: true });
+      return;
+    }
+
+    const watchers = (
+      await Promise.all(this.getWatchers(turn).map(async (uuid) => await fromUuid(uuid)))
+    ).filter((actor) => actor !== null);
+    const check = adapter.perceptionCheck ?? adapter.defaultCheck;
+    const perceptionRolls = perception === "roll" ? await this._gatherRolls(watchers, {}, check) : [];
+    const scores = watchers.map((actor) => {
+      const score = perception === "roll"
+        ? perceptionRolls.find((r) => r.actor.uuid === actor.uuid)?.roll.total ?? null
+        : this.getPassivePerception(actor);
+      return { actor, score, noticed: score !== null && score >= total };
+    });
+    const warned = scores.some(({ noticed }) => noticed);
+
+    const awake = (
+      await Promise.all(
+        Array.from(turn.members)
+          .filter((uuid) => !this.getWatchers(turn).includes(uuid))
+          .map(async (uuid) => await fromUuid(uuid))
+      )
+    ).filter((actor) => actor !== null);
+    const sleeperUuids = new Set(
+      this.turns.flatMap((t) => Array.from(t.members)).filter((uuid) => !turn.members.has(uuid))
+    );
+    const sleepers = (
+      await Promise.all(Array.from(sleeperUuids, async (uuid) => await fromUuid(uuid)))
+    ).filter((actor) => actor !== null);
+
+    const outcome = {
+      noticed: scores.filter(({ noticed }) => noticed).map(({ actor }) => actor),
+      surprised: [
+        ...scores.filter(({ noticed }) => !noticed).map(({ actor }) => actor),
+        ...(warned ? [] : [...awake, ...sleepers]),
+      ],
+      wakeable: warned ? [...awake, ...sleepers] : [],
+    };
+
+    await this._updateWatchSettings({
+      approach: {
+        stealth: total,
+        label: stealthRolls.length
+          ? actors.map((a) => a.name).join(", ")
+          : game.i18n.format("ONWATCH.Approach.Stealth", { total }),
+      },
+    });
+
+    return this._createApproachMessage(turn, {
+      total,
+      stealthRolls,
+      scores,
+      outcome,
+      perception,
+      check,
+      gmOnly,
+      rolls: [...stealthRolls, ...perceptionRolls].map(({ roll }) => roll),
+    });
+  }
+
+  /**
+   * Posts a chat card with the outcome of something approaching the camp.
+   * @param {Turn} turn - The turn of the approach.
+   * @param {object} data - The outcome computed by {@link WatchManager#resolveApproach}.
+   * @returns {Promise<ChatMessage>}
+   * @private
+   */
+  async _createApproachMessage(turn, { total, stealthRolls, scores, outcome, perception, check, gmOnly, rolls }) {
+    const content = await renderTemplate(
+      "modules/on-watch/templates/approach-card.hbs",
+      {
+        turnNumber: this.turns.indexOf(turn) + 1,
+        total,
+        creatures: stealthRolls.map(({ actor, roll }) => ({
+          name: actor.name,
+          img: actor.img,
+          total: roll.total,
+        })),
+        perceptionLabel: perception === "roll"
+          ? WatchManager.getCheckLabel(check)
+          : game.i18n.localize("ONWATCH.PassivePerception"),
+        watchers: scores.map(({ actor, score, noticed }) => ({
+          name: actor.name,
+          img: actor.img,
+          score: score ?? "—",
+          noticed,
+          impaired: this.getVision(actor).impaired,
+        })),
+        ...outcome,
+      }
+    );
+
+    const names = (actors) => actors.map((a) => a.name).join(", ") || game.i18n.localize("ONWATCH.Nobody");
+    let text = game.i18n.format("ONWATCH.Event.Approach", {
+      total,
+      noticed: names(outcome.noticed),
+      surprised: names(outcome.surprised),
+    });
+    if (outcome.wakeable.length) {
+      text += ` ${game.i18n.format("ONWATCH.Event.Wakeable", { names: names(outcome.wakeable) })}`;
+    }
+    await this.logEvent("approach", turn, text);
+
+    return ChatMessage.create({
+      content,
+      speaker: ChatMessage.getSpeaker({ alias: "On Watch" }),
+      rolls,
+      whisper: gmOnly ? ChatMessage.getWhisperRecipients("GM") : [],
+    });
+  }
+
+  /**
+   * Opens a dialog to choose what approaches the camp, then resolves the approach.
+   * @returns {Promise<ChatMessage|void>}
+   */
+  async createApproachDialog() {
+    const { DialogV2 } = foundry.applications.api;
+    const { BooleanField, NumberField, SetField, StringField } = foundry.data.fields;
+
+    const tokens = (canvas.tokens?.placeables ?? []).filter((t) => t.actor && !t.actor.hasPlayerOwner);
+    const choices = {};
+    for (const token of tokens) {
+      choices[token.document.uuid] = game.i18n.format("ONWATCH.Approach.Token", { name: token.name });
+    }
+    for (const actor of game.actors.filter((a) => !a.hasPlayerOwner)) choices[actor.uuid] = actor.name;
+    const controlled = tokens.filter((t) => t.controlled).map((t) => t.document.uuid);
+
+    const content = [
+      new SetField(new StringField({ choices }), {
+        label: "ONWATCH.Approach.Creatures",
+        hint: "ONWATCH.Approach.CreaturesHint",
+      }).toFormGroup({ localize: true }, { name: "creatures", value: controlled }),
+      new NumberField({
+        label: "ONWATCH.Approach.StealthTotal",
+        hint: "ONWATCH.Approach.StealthTotalHint",
+        integer: true,
+        min: 0,
+      }).toFormGroup({ localize: true }, { name: "stealth", value: null }),
+      new StringField({
+        label: "ONWATCH.Approach.Watchers",
+        choices: {
+          passive: game.i18n.localize("ONWATCH.Approach.UsePassive"),
+          roll: game.i18n.localize("ONWATCH.Approach.RollPerception"),
+        },
+        required: true,
+      }).toFormGroup({ localize: true }, { name: "perception", value: "passive" }),
+      new BooleanField({ label: "ONWATCH.GMOnly" }).toFormGroup({ localize: true }, { name: "gmOnly", value: true }),
+    ]
+      .map((group) => group.outerHTML)
+      .join("");
+
+    const data = await DialogV2.prompt({
+      rejectClose: false,
+      window: { title: "ONWATCH.Approach.Something", icon: "fa-solid fa-shoe-prints" },
+      content,
+      ok: {
+        label: "ONWATCH.Approach.Resolve",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+    if (!data) return;
+
+    return this.resolveApproach({
+      creatures: data.creatures ?? [],
+      stealth: data.stealth,
+      perception: data.perception,
+      gmOnly: data.gmOnly,
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Check Methods                               */
+  /* -------------------------------------------- */
+
+  /**
+   * The adapter between the watch and the game system.
+   * @type {SystemAdapter}
+   */
+  static get adapter() {
+    return SystemAdapter.current;
+  }
+
+  /**
+   * Check whether a string identifies a check that can be rolled in the system.
+   * @param {any} check
+   * @returns {boolean}
+   */
+  static isValidCheck(check) {
+    return WatchManager.adapter.isValidCheck(check);
+  }
+
+  /**
+   * Get a label for a check.
+   * @param {string} check
+   * @returns {string}
+   */
+  static getCheckLabel(check) {
+    return WatchManager.adapter.getCheckLabel(check);
+  }
+
+  /**
+   * The checks that can be rolled in a watch.
+   * @returns {Record<string, string>}
+   */
+  static getCheckChoices() {
+    return WatchManager.adapter.getCheckChoices();
+  }
+
+  /**
+   * The check rolled in the watch, unless a turn overrides it.
+   * @type {string}
+   */
+  get check() {
+    const check = this.record?.check;
+    return WatchManager.isValidCheck(check) ? check : WatchManager.adapter.defaultCheck;
+  }
+
+  /**
+   * Get the check rolled in a turn.
+   * @param {Turn} [turn]
+   * @returns {string}
+   */
+  getTurnCheck(turn) {
+    return turn?.check ?? this.check;
+  }
+
+  /**
+   * Rolls a check for an actor.
+   * @param {Actor} actor - The actor that rolls.
+   * @param {string} check - The check to roll.
+   * @param {object} [options] - Options passed to the roll of the system.
+   * @returns {Promise<Roll|null>}
+   */
+  static async rollCheck(actor, check, options = {}) {
+    return WatchManager.adapter.rollCheck(actor, check, options);
+  }
+
+  /**
+   * Opens a dialog to choose the check rolled in the watch, or in a turn.
+   * @param {number} [sort] - The `sort` value of the turn, omitted to choose the check of the watch.
+   * @returns {Promise<void>}
+   */
+  async configureCheck(sort) {
+    const { DialogV2 } = foundry.applications.api;
+    const { StringField } = foundry.data.fields;
+    const turn = sort === undefined ? null : this.turns.find((t) => t.sort === sort);
+    if (sort !== undefined && !turn) return;
+
+    const content = new StringField({
+      label: turn ? "ONWATCH.Check.Turn" : "ONWATCH.Check.Watch",
+      hint: turn ? "ONWATCH.Check.TurnHint" : "ONWATCH.Check.WatchHint",
+      choices: WatchManager.getCheckChoices(),
+      blank: !!turn,
+      required: !turn,
+    }).toFormGroup({ localize: true }, { name: "check", value: turn ? turn.check ?? "" : this.check }).outerHTML;
+
+    const data = await DialogV2.prompt({
+      rejectClose: false,
+      window: {
+        title: turn
+          ? game.i18n.format("ONWATCH.Check.TurnTitle", { turn: this.turns.indexOf(turn) + 1 })
+          : "ONWATCH.Check.Watch",
+        icon: "fa-solid fa-magnifying-glass",
+      },
+      content,
+      ok: {
+        label: "ONWATCH.Save",
+        callback: (_, button) => new FormDataExtended(button.form).object,
+      },
+    });
+    if (!data) return;
+
+    const check = WatchManager.isValidCheck(data.check) ? data.check : null;
+    if (!turn) return this._updateWatchSettings({ check: check ?? WatchManager.adapter.defaultCheck });
+    turn.check = check;
+    await this.updateTurns(this.turns);
+  }
+
+  /* -------------------------------------------- */
   /*  Roll Methods                                */
   /* -------------------------------------------- */
 
@@ -345,96 +2928,352 @@ export default class WatchManager {
   });
 
   /**
-   * Perform perception rolls in current turn.
+   * Whether the watch rolls of the current turn can be made: the watch is started
+   * and somebody keeps watch in the current turn.
+   * @type {boolean}
+   */
+  get canRoll() {
+    const turn = this.turns.find((t) => t.sort === this.currentTurn);
+    return this.isActive && this.getWatchers(turn).length > 0;
+  }
+
+  /**
+   * Perform the watch check rolls in current turn.
    * @param {object} options
    */
   async watchRoll(options) {
-    const action = await this.createRollDialog();
+    const turn = this.turns.find((t) => t.sort === this.currentTurn);
+    const { action, dc } = await this.createRollDialog(turn);
     if (!action) return;
 
     switch (action) {
       case WatchManager.ROLL_ACTIONS.INDIVIDUAL:
-        return await this.individualRoll();
+        return await this.individualRoll({ dc });
       case WatchManager.ROLL_ACTIONS.MULTIPLE:
-        return await this.multipleRoll();
+        return await this.multipleRoll({ dc });
     }
   }
 
   /**
-   * Opens a dialog to choose the type of roll to perform.
-   * @returns {Promise<string|boolean>} The selected roll action or `false` if the dialog was closed without selection.
+   * Opens a dialog to choose the type of roll to perform and an optional DC.
+   * @param {Turn} [turn] - The turn of the rolls, whose check is shown.
+   * @returns {Promise<{action: string|boolean, dc: number|null}>} The selected roll action, or `false` if the
+   *                                                             dialog was closed without selection, and the DC.
    */
-  async createRollDialog() {
+  async createRollDialog(turn) {
     const { DialogV2 } = foundry.applications.api;
+    const { NumberField } = foundry.data.fields;
     const { MULTIPLE, INDIVIDUAL } = WatchManager.ROLL_ACTIONS;
+    const checkLabel = WatchManager.getCheckLabel(this.getTurnCheck(turn));
+
+    const check = `<strong>${game.i18n.localize("ONWATCH.Check.Label")}:</strong> ${checkLabel}`;
+    const content = `<p class="roll-check">${check}</p>` + new NumberField({
+      label: "ONWATCH.Roll.DC",
+      hint: "ONWATCH.Roll.DCHint",
+      integer: true,
+      min: 0,
+    }).toFormGroup({ localize: true }, { name: "dc" }).outerHTML;
+    const callback = (action) => (_, button) => ({
+      action,
+      dc: new FormDataExtended(button.form).object.dc ?? null,
+    });
 
-    const action = await DialogV2.wait({
+    const result = await DialogV2.wait({
       rejectClose: false,
-      window: { title: "Choose Roll", icon: "fa-solid fa-dice-d20" },
+      window: { title: "ONWATCH.Roll.Title", icon: "fa-solid fa-dice-d20" },
+      content,
       buttons: [
         {
-          label: "Group Roll",
+          label: "ONWATCH.Roll.Group",
           icon: "fa-solid fa-dice-d20",
           action: MULTIPLE,
+          callback: callback(MULTIPLE),
         },  
         {
-          label: "Single Roll",
+          label: "ONWATCH.Roll.Single",
           icon: "fa-regular fa-dice-d20",
           action: INDIVIDUAL,
+          callback: callback(INDIVIDUAL),
         },
       ],
     });
 
-    return action ?? false;
+    return result ?? { action: false, dc: null };
   }
 
-  async multipleRoll() {
-    const { OWNER } = foundry.CONST.DOCUMENT_OWNERSHIP_LEVELS;
+  /**
+   * Rolls the watch check for every member of the current turn keeping watch and posts the results in a single chat card.
+   * Actors owned by an active player are rolled on that player's client.
+   * @param {object} [options]
+   * @param {number|null} [options.dc] - The DC the rolls are compared against.
+   * @returns {Promise<ChatMessage|void>}
+   */
+  async multipleRoll({ dc = null } = {}) {
     const turn = this.turns.find((t) => t.sort === this.currentTurn);
-    const members = await Promise.all(
-      Array.from(turn.members, async (uuid) => await fromUuid(uuid))
-    );
+    const members = (
+      await Promise.all(this.getWatchers(turn).map(async (uuid) => await fromUuid(uuid)))
+    ).filter((actor) => actor !== null);
+    const check = this.getTurnCheck(turn);
+    if (!this._callPreRoll(turn, { type: WatchManager.ROLL_ACTIONS.MULTIPLE, dc, check, actors: members })) return;
+
+    const results = await this._gatherRolls(members, {}, check);
+    return this._createRollMessage(turn, results, { dc, check });
+  }
+
+  /**
+   * Rolls the watch check for a chosen member of the current turn and posts the result in a chat card.
+   * @param {object} [options]
+   * @param {number|null} [options.dc] - The DC the roll is compared against.
+   * @returns {Promise<ChatMessage|void>}
+   */
+  async individualRoll({ dc = null } = {}) {
+    const turn = this.turns.find((t) => t.sort === this.currentTurn);
+    const actor = await this.createIndividualRollDialog(turn);
+    if (!actor) return;
+    const check = this.getTurnCheck(turn);
+    if (!this._callPreRoll(turn, { type: WatchManager.ROLL_ACTIONS.INDIVIDUAL, dc, check, actors: [actor] })) return;
+    const rollData = { advantage: this.getWatchers(turn).length >= 2 };
+
+    const results = await this._gatherRolls([actor], rollData, check);
+    return this._createRollMessage(turn, results, { dc, check });
+  }
+
+  /**
+   * Rolls the check for each actor, requesting the rolls of the actors with an active owner to that player.
+   * The roll data of each actor, with its vision modifiers, is worked out here and sent as it is,
+   * so every actor rolls the same way whichever client makes the roll.
+   * Players who do not roll within the `rollTimeout` setting are given up on,
+   * and the GM is offered to roll for their actors instead. A roll that arrives while the GM decides
+   * is used in place of the GM roll, and one that arrives after the rolls are gathered is reported to the GM.
+   * @param {Actor[]} actors - The actors that roll.
+   * @param {object} rollData - The data of the rolls, before the vision modifiers of each actor.
+   * @param {string} check - The check rolled.
+   * @returns {Promise<{actor: Actor, roll: Roll}[]>}
+   * @private
+   */
+  async _gatherRolls(actors, rollData, check) {
     const socketData = new Map();
-    const actors = [];
-
-    for (const actor of members) {
-      let added = false;
-      for (const user of game.users.players.filter(u => u.active)) {
-        if (actor.getUserLevel(user) === OWNER) {
-          if (!socketData.has(user.id)) {
-            socketData.set(user.id, { actors: [], rollData: {} });
-          }
-          socketData.get(user.id).actors.push(actor.uuid);
-          added = true;
-          break;
+    const gmActors = [];
+    const getRollData = (actor) => this.getRollData(actor, { ...rollData, chatMessage: false }, check);
+    for (const actor of actors) {
+      const user = this._getActiveOwner(actor);
+      if (!user) {
+        gmActors.push(actor);
+        continue;
+      }
+      if (!socketData.has(user.id)) socketData.set(user.id, { actors: [], check });
+      socketData.get(user.id).actors.push({ uuid: actor.uuid, rollData: getRollData(actor) });
+    }
+
+    // The statuses follow the watch of the rolls even if this client shows another watch meanwhile
+    const { watchId } = this;
+    const setStatus = (uuids, status) => this.forWatch(watchId)._setRollStatus(uuids, status);
+
+    const late = new Map();
+    let gathering = true;
+    const onLate = async (_, data) => {
+      for (const result of await this._loadRollResults(data)) {
+        if (gathering) {
+          late.set(result.actor.uuid, result);
+          setStatus([result.actor.uuid], "rolled");
+          continue;
         }
+        const { name } = result.actor;
+        ui.notifications.warn(game.i18n.format("ONWATCH.Roll.Late", { name, total: result.roll.total }));
+      }
+    };
+
+    setStatus(actors.map((a) => a.uuid), "pending");
+    try {
+      const playerRolls = this.socket.emitRequestRoll(socketData, {
+        onResponse: (_, data) => setStatus(data.map(({ uuid }) => uuid), "rolled"),
+        onLate,
+      });
+
+      const results = [];
+      for (const actor of gmActors) {
+        const roll = await WatchManager.rollCheck(actor, check, getRollData(actor));
+        if (roll) results.push({ actor, roll });
+        setStatus([actor.uuid], roll ? "rolled" : "cancelled");
       }
-      if (!added) {
-        actors.push(actor);
+      results.push(...(await this._loadRollResults(await playerRolls)));
+
+      const missing = actors.filter(
+        (actor) => !gmActors.includes(actor) && !results.some((r) => r.actor.uuid === actor.uuid)
+      );
+      const overdue = missing.filter((a) => !late.has(a.uuid));
+      setStatus(overdue.map((a) => a.uuid), "timeout");
+      const rollMissing = overdue.length > 0 && (await this._confirmRollMissing(overdue));
+
+      for (const actor of missing) {
+        if (late.has(actor.uuid)) {
+          results.push(late.get(actor.uuid));
+          continue;
+        }
+        if (!rollMissing) {
+          setStatus([actor.uuid], "cancelled");
+          continue;
+        }
+        const roll = await WatchManager.rollCheck(actor, check, getRollData(actor));
+        if (roll) results.push({ actor, roll });
+        setStatus([actor.uuid], roll ? "rolled" : "cancelled");
       }
+      return results;
+    } finally {
+      gathering = false;
+      this.forWatch(watchId)._clearRollStatus();
     }
-    this.socket.emitRequestRoll(socketData);
+  }
 
-    for (const a of actors) {
-      await a.rollSkill("prc");
-      await new Promise(r => setTimeout(r, 1));
-    } 
+  /**
+   * Asks the GM whether to roll for the actors whose players did not roll in time.
+   * @param {Actor[]} actors - The actors missing their roll.
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  _confirmRollMissing(actors) {
+    const { DialogV2 } = foundry.applications.api;
+    const names = actors.map((a) => `<li>${a.name}</li>`).join("");
+    return DialogV2.confirm({
+      rejectClose: false,
+      window: { title: "ONWATCH.Roll.Missing", icon: "fa-solid fa-hourglass-end" },
+      content: `<p>${game.i18n.localize("ONWATCH.Roll.MissingList")}</p><ul>${names}</ul>
+        <p>${game.i18n.localize("ONWATCH.Roll.MissingConfirm")}</p>`,
+    });
   }
 
-  async individualRoll() {
-    const { OWNER } = foundry.CONST.DOCUMENT_OWNERSHIP_LEVELS;
-    const turn = this.turns.find((t) => t.sort === this.currentTurn);
-    const actor = await this.createIndividualRollDialog(turn);
-    if (!actor) return;
-    const rollData = { advantage: turn.members.size >= 2 };
+  /**
+   * Sets the status of the watch roll of some actors, shown in the tracker of every user.
+   * @param {string[]} uuids - The UUIDs of the actors.
+   * @param {string} status - "pending", "rolled", "timeout" or "cancelled".
+   * @private
+   */
+  _setRollStatus(uuids, status) {
+    for (const uuid of uuids) this.rollStatus.set(uuid, status);
+    this.socket.emitRollStatus(this.watchId, this.rollStatus);
+    this.app.render();
+  }
+
+  /**
+   * Clears the status of the watch rolls once they are gathered.
+   * @private
+   */
+  _clearRollStatus() {
+    this.rollStatus.clear();
+    this.socket.emitRollStatus(this.watchId, this.rollStatus);
+    this.app.render();
+  }
+
+  /**
+   * Calls the hook event that fires before the watch rolls of a turn are made.
+   * @param {Turn} turn - The turn of the rolls.
+   * @param {object} config - The configuration of the rolls.
+   * @returns {boolean} Whether the rolls should be made.
+   * @private
+   */
+  _callPreRoll(turn, config) {
+    /**
+     * A hook event that fires before the watch rolls of a turn are made.
+     * @function onWatch.preRoll
+     * @memberof hookEvents
+     * @param {WatchManager} watchManager - The WatchManager of the watch.
+     * @param {Turn} turn - The turn of the rolls.
+     * @param {object} config - The configuration of the rolls.
+     * @param {string} config.type - The roll action, "MULTIPLE" or "INDIVIDUAL".
+     * @param {number|null} config.dc - The DC the rolls are compared against.
+     * @param {string} config.check - The check rolled, such as "skill:prc".
+     * @param {Actor[]} config.actors - The actors that roll.
+     * @returns {boolean} Explicitly return `false` to prevent the rolls.
+     */
+    return Hooks.call("onWatch.preRoll", this, turn, config) !== false;
+  }
+
+  /**
+   * Restores the roll results sent back by player clients.
+   * @param {{uuid: string, roll: object}[]} data - The serialized roll results.
+   * @returns {Promise<{actor: Actor, roll: Roll}[]>}
+   * @private
+   */
+  async _loadRollResults(data) {
+    const results = await Promise.all(
+      data.map(async ({ uuid, roll }) => ({
+        actor: await fromUuid(uuid),
+        roll: Roll.fromData(roll),
+      }))
+    );
+    return results.filter(({ actor }) => actor !== null);
+  }
+
+  /**
+   * Posts a single chat card with the watch rolls of a turn.
+   * @param {Turn} turn - The turn of the rolls.
+   * @param {{actor: Actor, roll: Roll}[]} results - The rolls made by each watcher.
+   * @param {object} [options]
+   * @param {number|null} [options.dc] - The DC the rolls are compared against.
+   * @param {string} [options.check] - The check rolled.
+   * @returns {Promise<ChatMessage|void>}
+   * @private
+   */
+  async _createRollMessage(turn, results, { dc = null, check = this.getTurnCheck(turn) } = {}) {
+    if (!results.length) return;
+    const highest = Math.max(...results.map(({ roll }) => roll.total));
+    const hasDC = typeof dc === "number";
 
-    for (const user of game.users.players.filter(u => u.active)) {
-      if (actor.getUserLevel(user) === OWNER) {
-        const users = new Map([[user.id, { actors: [actor.uuid], rollData }]]);
-        return this.socket.emitRequestRoll(users);
+    const content = await renderTemplate(
+      "modules/on-watch/templates/roll-card.hbs",
+      {
+        turnNumber: this.turns.indexOf(turn) + 1,
+        checkLabel: WatchManager.getCheckLabel(check),
+        dc: hasDC ? dc : null,
+        highest,
+        success: hasDC ? highest >= dc : null,
+        results: results.map(({ actor, roll }) => ({
+          name: actor.name,
+          img: actor.img,
+          total: roll.total,
+          isHighest: roll.total === highest,
+          success: hasDC ? roll.total >= dc : null,
+        })),
       }
-    }
-    return actor.rollSkill("prc", rollData);
+    );
+
+    const totals = results.map(({ actor, roll }) => `${actor.name} ${roll.total}`).join(", ");
+    const outcome = hasDC
+      ? game.i18n.format(highest >= dc ? "ONWATCH.Event.RollPassed" : "ONWATCH.Event.RollFailed", { highest, dc })
+      : game.i18n.format("ONWATCH.Event.RollHighest", { highest });
+    await this.logEvent("roll", turn, `${WatchManager.getCheckLabel(check)}: ${totals} (${outcome}).`);
+
+    const messageData = {
+      content,
+      speaker: ChatMessage.getSpeaker({ alias: "On Watch" }),
+      rolls: results.map(({ roll }) => roll),
+    };
+    ChatMessage.applyRollMode(messageData, game.settings.get("core", "rollMode"));
+    const message = await ChatMessage.create(messageData);
+
+    /**
+     * A hook event that fires after the watch rolls of a turn are gathered in a chat card.
+     * @function onWatch.roll
+     * @memberof hookEvents
+     * @param {WatchManager} watchManager - The WatchManager of the watch.
+     * @param {Turn} turn - The turn of the rolls.
+     * @param {{actor: Actor, roll: Roll}[]} results - The rolls made by each watcher.
+     * @param {ChatMessage} message - The chat card of the rolls.
+     */
+    Hooks.callAll("onWatch.roll", this, turn, results, message);
+    return message;
+  }
+
+  /**
+   * Finds the first active player who owns an actor.
+   * @param {Actor} actor
+   * @returns {User|undefined}
+   */
+  _getActiveOwner(actor) {
+    const { OWNER } = foundry.CONST.DOCUMENT_OWNERSHIP_LEVELS;
+    return game.users.players.find(
+      (user) => user.active && actor.getUserLevel(user) === OWNER
+    );
   }
   /**
    *
@@ -444,32 +3283,111 @@ export default class WatchManager {
     const { DialogV2 } = foundry.applications.api;
     const { StringField } = foundry.data.fields;
 
-    const members = await Promise.all(
-      Array.from(turn.members, async (uuid) => await fromUuid(uuid))
-    );
+    const members = (
+      await Promise.all(this.getWatchers(turn).map(async (uuid) => await fromUuid(uuid)))
+    ).filter((actor) => actor !== null);
     const choices = members.reduce((acc, { name, uuid }) => {
       acc[uuid] = name;
       return acc;
     }, {});
 
     const actorField = new StringField({
-      label: "Actor",
+      label: "ONWATCH.Roll.Actor",
       choices,
       required: true,
-    }).toFormGroup({}, { name: "uuid" }).outerHTML;
+    }).toFormGroup({ localize: true }, { name: "uuid" }).outerHTML;
 
     const actorUuid = await DialogV2.prompt({
       rejectClose: false,
-      window: { title: "Choose the Actor", icon: "fa-solid fa-dice-d20" },
+      window: { title: "ONWATCH.Roll.ChooseActor", icon: "fa-solid fa-dice-d20" },
       content: actorField,
       ok: {
-        label: "Roll!",
+        label: "ONWATCH.Roll.Roll",
         callback: (_, button) => new FormDataExtended(button.form).object.uuid,
       },
     });
     const actor = members.find((a) => a.uuid === actorUuid);
     return actor;
   }
+  /* -------------------------------------------- */
+  /*  Command Methods                             */
+  /* -------------------------------------------- */
+
+  /**
+   * The commands of the watch which can be run from a keybinding or a hotbar macro,
+   * with the localization key of their name and the image of their macro.
+   * @type {Record<string, {label: string, img: string, gmOnly: boolean}>}
+   */
+  static COMMANDS = Object.freeze({
+    startWatch: { label: "ONWATCH.Tracker.StartWatch", img: "icons/svg/fire.svg", gmOnly: true },
+    endWatch: { label: "ONWATCH.EndWatch.Title", img: "icons/svg/sun.svg", gmOnly: true },
+    nextTurn: { label: "ONWATCH.Tracker.NextTurn", img: "icons/svg/clockwork.svg", gmOnly: true },
+    previousTurn: { label: "ONWATCH.Tracker.PreviousTurn", img: "icons/svg/clockwork.svg", gmOnly: true },
+    roll: { label: "ONWATCH.Tracker.Roll", img: "icons/svg/d20-grey.svg", gmOnly: true },
+    toggleTracker: { label: "ONWATCH.Tracker.Toggle", img: "icons/svg/eye.svg", gmOnly: false },
+  });
+
+  /**
+   * Runs a command of the watch, as its button in the tracker does.
+   * @param {string} command - A key of {@link WatchManager.COMMANDS}.
+   * @returns {Promise<void>}
+   */
+  async runCommand(command) {
+    const config = WatchManager.COMMANDS[command];
+    if (!config || (config.gmOnly && !game.user.isGM)) return;
+
+    switch (command) {
+      case "startWatch":
+        return this.startWatch();
+      case "endWatch": {
+        if (!this.isActive) return;
+        const options = await this.createEndWatchDialog();
+        if (options) await this.endWatch(options);
+        return;
+      }
+      case "nextTurn":
+        await this.nextTurn();
+        return this.app.render();
+      case "previousTurn":
+        await this.previousTurn();
+        return this.app.render();
+      case "roll":
+        if (this.canRoll) await this.watchRoll();
+        return;
+      case "toggleTracker":
+        return this.toggleTracker();
+    }
+  }
+
+  /**
+   * Opens the tracker, or closes it if it is open.
+   * @returns {Promise<WatchTracker>}
+   */
+  async toggleTracker() {
+    if (this.app.rendered) return this.app.close();
+    return this.app.render(true);
+  }
+
+  /**
+   * Creates a script macro which runs a command of the watch, or finds the one created before.
+   * @param {string} command - A key of {@link WatchManager.COMMANDS}.
+   * @returns {Promise<Macro|void>}
+   */
+  static async createCommandMacro(command) {
+    const config = WatchManager.COMMANDS[command];
+    if (!config) return;
+    const macro = game.macros.find((m) => m.getFlag("on-watch", "command") === command && m.isOwner);
+    if (macro) return macro;
+
+    return Macro.create({
+      name: game.i18n.localize(config.label),
+      type: "script",
+      img: config.img,
+      command: `game.modules.get("on-watch").watchManager.runCommand("${command}");`,
+      flags: { "on-watch": { command } },
+    });
+  }
+
   /* -------------------------------------------- */
   /*  Application Methods                         */
   /* -------------------------------------------- */
@@ -482,4 +3400,13 @@ export default class WatchManager {
     }
     return this.#app;
   }
+
+  #presetsApp;
+
+  get presetsApp() {
+    if (!this.#presetsApp) {
+      this.#presetsApp = new WatchPresets({ doc: this });
+    }
+    return this.#presetsApp;
+  }
 }
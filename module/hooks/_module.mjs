@@ -1,10 +1,16 @@
+import initKeybindings from "./initKeybindings.mjs";
 import initSettings from "./initSettings.mjs";
 import { onControlToken, onDestroyToken } from "./placeable-object-hooks.mjs";
+import onHotbarDrop from "./onHotbarDrop.mjs";
 import onRenderPlayerList from "./onRenderPlayerList.mjs";
+import onUpdateWorldTime from "./onUpdateWorldTime.mjs";
 
 export {
+  initKeybindings,
   initSettings,
   onControlToken as controlToken,
   onDestroyToken as destroyToken,
+  onHotbarDrop as hotbarDrop,
   onRenderPlayerList as renderPlayerList,
+  onUpdateWorldTime as updateWorldTime,
 };
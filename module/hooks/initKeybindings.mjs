@@ -0,0 +1,21 @@
+import WatchManager from "../classes/watch-manager.mjs";
+
+/**
+ * Registers a keybinding for each command of the watch. They have no default keys,
+ * so they can be bound in the Configure Controls menu without clashing with other bindings.
+ */
+export default function initKeybindings() {
+  for (const [command, { label, gmOnly }] of Object.entries(WatchManager.COMMANDS)) {
+    game.keybindings.register("on-watch", command, {
+      name: label,
+      editable: [],
+      restricted: gmOnly,
+      onDown: () => {
+        const watchManager = game.modules.get("on-watch")?.watchManager;
+        if (!watchManager) return false;
+        watchManager.runCommand(command);
+        return true;
+      },
+    });
+  }
+}
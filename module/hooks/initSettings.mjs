@@ -1,7 +1,77 @@
 import WatchManager from "../classes/watch-manager.mjs";
 
-const { BooleanField, NumberField, SchemaField } = foundry.data.fields;
+const { ArrayField, BooleanField, NumberField, ObjectField, SchemaField, StringField } = foundry.data.fields;
+
+/**
+ * The fields of the state of a watch.
+ * @returns {Record<string, DataField>}
+ */
+const watchFields = () => ({
+  watchActive: new BooleanField(),
+  currentTurn: new NumberField(),
+  encounter: new SchemaField({
+    enabled: new BooleanField(),
+    table: new StringField({ blank: true }),
+    chance: new NumberField({ integer: true, min: 0 }),
+    gmOnly: new BooleanField({ initial: true }),
+  }),
+  light: new StringField({
+    choices: ["bright", "dim", "dark", "scene"],
+    initial: "scene",
+  }),
+  check: new StringField({ initial: "skill:prc" }),
+  approach: new SchemaField(
+    {
+      stealth: new NumberField({ required: true }),
+      label: new StringField(),
+    },
+    { nullable: true, initial: null }
+  ),
+  startTime: new NumberField(),
+  finished: new BooleanField(),
+  events: new ArrayField(new ObjectField()),
+});
+
 export default function initSettings() {
+  game.settings.register("on-watch", "watches", {
+    name: "Watches",
+    hint: "",
+    config: false,
+    scope: "world",
+    requiresReload: false,
+    type: new ArrayField(
+      new SchemaField({
+        id: new StringField({ required: true, blank: false }),
+        name: new StringField({ required: true, blank: false, initial: "Watch" }),
+        scene: new StringField({ nullable: true, initial: null }),
+        turns: new ArrayField(new ObjectField()),
+        ...watchFields(),
+      })
+    ),
+    default: [],
+    onChange: WatchManager.onWatchesChange,
+  });
+  // The undo and redo history of the turns of each watch, keyed by watch id.
+  game.settings.register("on-watch", "turnHistory", {
+    name: "Turn History",
+    hint: "",
+    config: false,
+    scope: "world",
+    requiresReload: false,
+    type: Object,
+    default: {},
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "selectedWatch", {
+    name: "Selected Watch",
+    hint: "",
+    config: false,
+    scope: "client",
+    requiresReload: false,
+    type: String,
+    default: "",
+  });
+  // The single watch stored before watches became separate records, only read to migrate it.
   game.settings.register("on-watch", "turns", {
     name: "Turns",
     hint: "",
@@ -10,7 +80,6 @@ export default function initSettings() {
     requiresReload: false,
     type: Array,
     default: [],
-    onChange: WatchManager.onTurnsChange,
   });
   game.settings.register("on-watch", "watch", {
     name: "Watch",
@@ -18,13 +87,187 @@ export default function initSettings() {
     config: false,
     scope: "world",
     requiresReload: false,
-    type: new SchemaField({
-      watchActive: new BooleanField(),
-      currentTurn: new NumberField(),
-    }),
+    type: new SchemaField(watchFields()),
     default: {
       watchActive: false,
     },
-    onChange: WatchManager.onWatchChange,
+  });
+  game.settings.register("on-watch", "presets", {
+    name: "Presets",
+    hint: "",
+    config: false,
+    scope: "world",
+    requiresReload: false,
+    type: Array,
+    default: [],
+    onChange: WatchManager.onPresetsChange,
+  });
+  game.settings.register("on-watch", "autoAdvance", {
+    name: "ONWATCH.Settings.AutoAdvance.Name",
+    hint: "ONWATCH.Settings.AutoAdvance.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: Boolean,
+    default: true,
+  });
+  game.settings.register("on-watch", "watchElapsed", {
+    name: "ONWATCH.Settings.WatchElapsed.Name",
+    hint: "ONWATCH.Settings.WatchElapsed.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: new StringField({
+      choices: () => ({
+        flag: game.i18n.localize("ONWATCH.Settings.WatchElapsed.Flag"),
+        end: game.i18n.localize("ONWATCH.Settings.WatchElapsed.End"),
+      }),
+      nullable: false,
+    }),
+    default: "flag",
+  });
+  game.settings.register("on-watch", "watchLog", {
+    name: "ONWATCH.Settings.WatchLog.Name",
+    hint: "ONWATCH.Settings.WatchLog.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: Boolean,
+    default: true,
+  });
+  game.settings.register("on-watch", "logJournal", {
+    name: "Watch Log Journal",
+    hint: "",
+    config: false,
+    scope: "world",
+    requiresReload: false,
+    type: String,
+    default: "",
+  });
+  game.settings.register("on-watch", "playerAdd", {
+    name: "ONWATCH.Settings.PlayerAdd.Name",
+    hint: "ONWATCH.Settings.PlayerAdd.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: Boolean,
+    default: true,
+    // It changes the watches players can see
+    onChange: WatchManager.onWatchesChange,
+  });
+  game.settings.register("on-watch", "playerRemove", {
+    name: "ONWATCH.Settings.PlayerRemove.Name",
+    hint: "ONWATCH.Settings.PlayerRemove.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: Boolean,
+    default: true,
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "playerReorder", {
+    name: "ONWATCH.Settings.PlayerReorder.Name",
+    hint: "ONWATCH.Settings.PlayerReorder.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: Boolean,
+    default: true,
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "playerDuration", {
+    name: "ONWATCH.Settings.PlayerDuration.Name",
+    hint: "ONWATCH.Settings.PlayerDuration.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: Boolean,
+    default: false,
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "playerActivity", {
+    name: "ONWATCH.Settings.PlayerActivity.Name",
+    hint: "ONWATCH.Settings.PlayerActivity.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: Boolean,
+    default: true,
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "playerApproval", {
+    name: "ONWATCH.Settings.PlayerApproval.Name",
+    hint: "ONWATCH.Settings.PlayerApproval.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: Boolean,
+    default: false,
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "pendingChanges", {
+    name: "Pending Changes",
+    hint: "",
+    config: false,
+    scope: "world",
+    requiresReload: false,
+    type: Array,
+    default: [],
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "checkFormula", {
+    name: "ONWATCH.Settings.CheckFormula.Name",
+    hint: "ONWATCH.Settings.CheckFormula.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: String,
+    default: "1d20",
+  });
+  game.settings.register("on-watch", "rollTimeout", {
+    name: "ONWATCH.Settings.RollTimeout.Name",
+    hint: "ONWATCH.Settings.RollTimeout.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: new NumberField({ min: 5, max: 600, step: 5, nullable: false }),
+    default: 60,
+  });
+  game.settings.register("on-watch", "minSleep", {
+    name: "ONWATCH.Settings.MinSleep.Name",
+    hint: "ONWATCH.Settings.MinSleep.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: new NumberField({ min: 0, max: 24, step: 0.5, nullable: false }),
+    default: 6,
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "maxActivity", {
+    name: "ONWATCH.Settings.MaxActivity.Name",
+    hint: "ONWATCH.Settings.MaxActivity.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: new NumberField({ min: 0, max: 24, step: 0.5, nullable: false }),
+    default: 2,
+    onChange: WatchManager.onTrackerSettingChange,
+  });
+  game.settings.register("on-watch", "restViolation", {
+    name: "ONWATCH.Settings.RestViolation.Name",
+    hint: "ONWATCH.Settings.RestViolation.Hint",
+    config: true,
+    scope: "world",
+    requiresReload: false,
+    type: new StringField({
+      choices: () => ({
+        refuse: game.i18n.localize("ONWATCH.Settings.RestViolation.Refuse"),
+        shortRest: game.i18n.localize("ONWATCH.Settings.RestViolation.ShortRest"),
+        ignore: game.i18n.localize("ONWATCH.Settings.RestViolation.Ignore"),
+      }),
+      nullable: false,
+    }),
+    default: "refuse",
+    onChange: WatchManager.onTrackerSettingChange,
   });
 }
@@ -0,0 +1,16 @@
+import WatchManager from "../classes/watch-manager.mjs";
+
+/**
+ * Creates a macro of a watch command dropped on the hotbar, such as a control of the Watch Tracker.
+ * @param {Hotbar} hotbar - The Hotbar application.
+ * @param {object} data - The dropped data.
+ * @param {number} slot - The hotbar slot of the drop.
+ * @returns {boolean|void} False to prevent the drop from being handled by the core.
+ */
+export default function onHotbarDrop(hotbar, data, slot) {
+  if (data.type !== "OnWatchCommand") return;
+  WatchManager.createCommandMacro(data.command).then((macro) => {
+    if (macro) game.user.assignHotbarMacro(macro, slot);
+  });
+  return false;
+}
@@ -1,14 +1,17 @@
+import WatchManager from "../classes/watch-manager.mjs";
+
 /**
  * Adds a "Watch Tracker" button to the Player List when the "on-watch" module is active.
+ * The button can be dragged to the hotbar to create a macro which toggles the tracker.
  * @param {JQuery} html - The rendered HTML content of the Player List, allowing for modifications.
  */
 export default function onRenderPlayerList(_, html) {
-  const isActive = game.settings.get("on-watch", "watch")?.watchActive ?? false;
+  const isActive = WatchManager.getVisibleWatches().some((watch) => watch.watchActive);
   if (!game.user.isGM && !isActive) return;
 
   const button = `
-      <h3 class="tracker-btn on-watch" data-tooltip="On Watch!">
-        <i class="fa-solid fa-campground"></i> Watch Tracker
+      <h3 class="tracker-btn on-watch" draggable="true" data-tooltip="${game.i18n.localize("ONWATCH.Tracker.Tooltip")}">
+        <i class="fa-solid fa-campground"></i> ${game.i18n.localize("ONWATCH.Tracker.Title")}
       </h3>
     `;
 
@@ -16,4 +19,8 @@ export default function onRenderPlayerList(_, html) {
   html.on("click", ".tracker-btn.on-watch", () => {
     game.modules.get("on-watch")?.watchManager?.app?.render(true);
   });
+  html.on("dragstart", ".tracker-btn.on-watch", (event) => {
+    const data = { type: "OnWatchCommand", command: "toggleTracker" };
+    event.originalEvent.dataTransfer.setData("text/plain", JSON.stringify(data));
+  });
 }
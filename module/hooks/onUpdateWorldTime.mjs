@@ -0,0 +1,13 @@
+/**
+ * A hook event that fires when the World time has been updated.
+ * Keeps the current turn of every started watch in sync with the world time, and refreshes the clock times.
+ * @param {number} worldTime - The new canonical World time.
+ */
+export default async function onUpdateWorldTime(worldTime) {
+  const module = game.modules.get("on-watch");
+  const watchManager = module?.watchManager;
+  if (!watchManager) return;
+
+  await watchManager.syncWatches(worldTime);
+  if (watchManager.app.rendered) watchManager.app.render();
+}
@@ -1,12 +1,24 @@
 import WatchTracker from "./apps/watch-tracker.mjs";
 import * as hooks from './hooks/_module.mjs';
 import * as classes from './classes/_module.mjs'
+import * as api from "./api.mjs";
 
 Hooks.on("init", () => {
   const module = game.modules.get("on-watch");
   hooks.initSettings();
+  hooks.initKeybindings();
   module.classes = classes;
   module.watchTracker = WatchTracker;
+  module.api = api;
+
+  classes.SystemAdapterClass.register("dnd5e", classes.Dnd5eAdapterClass);
+  /**
+   * A hook event that fires once the module is initialized, to register the adapters of other systems.
+   * @function onWatch.registerAdapters
+   * @memberof hookEvents
+   * @param {typeof SystemAdapter} SystemAdapter - The base adapter class, whose `register` method adds an adapter.
+   */
+  Hooks.callAll("onWatch.registerAdapters", classes.SystemAdapterClass);
 });
 
 Hooks.on("ready", () => {
@@ -15,10 +27,13 @@ Hooks.on("ready", () => {
 })
 
 Hooks.on("renderPlayerList", hooks.renderPlayerList);
+Hooks.on("hotbarDrop", hooks.hotbarDrop);
 
 Hooks.on("controlToken", hooks.controlToken);
 Hooks.on("destroyToken", hooks.destroyToken);
 
+Hooks.on("updateWorldTime", hooks.updateWorldTime);
+
 Hooks.on("deleteActor", () => {
   const module = game.modules.get("on-watch");
   const watchTracker = module?.watchManager?.app;